@@ -4,7 +4,20 @@ require("dotenv").config();
 
 const express = require("express");
 const { UmzugshilfeAutomator } = require("./src/lib/automator-simple-fetch");
-const { EmailWatcher } = require("./src/lib/email-watcher-smtp-new");
+const { HttpAutomator } = require("./src/lib/automator-http");
+const { MailboxManager } = require("./src/lib/mailbox-manager");
+const {
+  describeJob,
+  describeRef,
+  jobKeyOf,
+  sameJob,
+} = require("./src/lib/job-record");
+const { JobStatusStore } = require("./src/lib/job-status");
+const { ParseQuarantine } = require("./src/lib/quarantine");
+const { JobTrace, LatencyLog } = require("./src/lib/latency");
+const { authenticateInbound } = require("./src/lib/inbound-mail");
+const { parseJobMail } = require("./src/lib/grammars");
+const { resolvePlace } = require("./src/lib/plz");
 // ── Normalization helpers for details coming from email subjects ──
 const z2 = (n) => String(n).padStart(2, "0");
 
@@ -46,6 +59,27 @@ function normalizeCity(raw) {
     .trim(); // keep Unicode, collapse spaces
 }
 
+// "4" / "3,5" / 3.5 -> 3.5 (hours, null if implausible)
+function normalizeDuration(raw) {
+  if (raw === null || raw === undefined || raw === "") return null;
+  const h = parseFloat(String(raw).replace(",", "."));
+  return h > 0 && h <= 24 ? h : null;
+}
+
+// "#12345" / 12345 -> "12345"
+function normalizeJobNumber(raw) {
+  const m = String(raw || "").match(/^#?\s*(\d{4,7})$/);
+  return m ? m[1] : null;
+}
+
+// positive number within sane bounds, else null
+function normalizePositive(raw, max) {
+  if (raw === null || raw === undefined || raw === "") return null;
+  const n = parseFloat(String(raw).replace(",", "."));
+  return n > 0 && n <= max ? n : null;
+}
+
+/** @returns {import("./src/lib/job-record").JobRecord|null} */
 function normalizeDetails(details) {
   if (!details) return null;
   const date = normalizeDate(details.date);
@@ -53,22 +87,68 @@ function normalizeDetails(details) {
   const zip = normalizeZip(details.zip);
   const city = normalizeCity(details.city);
   if (!date || !time || !zip) return null; // city may be empty
-  return { date, time, zip, city };
+
+  // The automator's "in <zip> <city>" regex fails on any city difference:
+  // repair the city from the offline PLZ table, or drop it if it doesn't fit
+  const place = resolvePlace(zip, city);
+  const norm = { date, time, zip, city: place.city };
+  if (place.issue) norm.placeIssue = place.issue;
+  if (place.city !== city) norm.cityRaw = city;
+
+  // optional: how long the job blocks us
+  const endTime = normalizeTime(details.endTime);
+  const durationHours = normalizeDuration(details.durationHours);
+  if (endTime) norm.endTime = endTime;
+  if (durationHours) norm.durationHours = durationHours;
+
+  // optional: attributes for filtering and reporting
+  const jobNumber = normalizeJobNumber(details.jobNumber);
+  const helpersNeeded = normalizePositive(details.helpersNeeded, 50);
+  const hourlyRate = normalizePositive(details.hourlyRate, 200);
+  const jobType = normalizeCity(details.jobType);
+  if (jobNumber) norm.jobNumber = jobNumber;
+  if (helpersNeeded) norm.helpersNeeded = Math.round(helpersNeeded);
+  if (hourlyRate) norm.hourlyRate = hourlyRate;
+  if (jobType) norm.jobType = jobType;
+
+  return norm;
 }
 
+// cancelled / taken jobs remembered so a late offer mail is not applied to
+const MAX_LOST_JOBS = 200;
+
 class UmzugshilfeService {
-  constructor() {
+  // dryRun: parse, normalize and dedupe as usual, but never apply or notify
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
     this.app = express();
-    this.automator = new UmzugshilfeAutomator();
-    this.emailWatcher = new EmailWatcher();
+    // APPLY_MODE=http (default): plain HTTP, the browser only as a fallback
+    this.automator =
+      process.env.APPLY_MODE === "browser"
+        ? new UmzugshilfeAutomator()
+        : new HttpAutomator({
+            fallback:
+              process.env.APPLY_BROWSER_FALLBACK === "false"
+                ? null
+                : () => new UmzugshilfeAutomator(),
+          });
+    this.quarantine = new ParseQuarantine();
+    this.jobStatus = new JobStatusStore(); // applied → confirmed / declined
+    this.latency = new LatencyLog(); // per-job stage timings, mail → accepted
+    // one mail source (IMAP or Gmail API) per account, same API as a single one
+    this.emailWatcher = new MailboxManager({ quarantine: this.quarantine });
+    // POST /inbound/mail is refused while unset
+    this.inboundSecret = process.env.INBOUND_MAIL_SECRET || null;
 
     this.isProcessing = false;
     this.processedJobs = new Set();
     this.jobQueue = [];
+    this.lostJobs = [];
     this.stats = {
       totalJobsProcessed: 0,
       successCount: 0,
       failCount: 0,
+      lostCount: 0,
       startTime: Date.now(),
     };
 
@@ -104,7 +184,9 @@ class UmzugshilfeService {
 
   // SIMPLIFIED: Only handle job details, no more jobIds parameter
   // SIMPLIFIED: Only handle job details, no more jobIds parameter
-  async handleNewJob(jobDetails) {
+  // fromQueue: re-dispatch of a job we already accepted into jobQueue
+  // trace: stage timestamps from the mail source (see latency.js)
+  async handleNewJob(jobDetails, { fromQueue = false, trace = null } = {}) {
     // Log raw details to see what the watcher delivered
     console.log("📦 Raw details:", jobDetails);
 
@@ -116,32 +198,57 @@ class UmzugshilfeService {
     }
 
     const startTime = Date.now();
-    const jobKey = `${norm.date}_${norm.time}_${norm.zip}`;
+    const jobKey = jobKeyOf(norm);
+    trace = trace || new JobTrace({}, "manual");
+    if (!fromQueue) trace.mark("queued", startTime);
 
-    console.log(
-      `⚡ NEW JOB: ${norm.date} ${norm.time} in ${norm.zip} ${
-        norm.city || ""
-      } - Processing immediately!`
-    );
+    if (norm.placeIssue) {
+      console.log(
+        `📮 Location ${norm.zip}: ${norm.placeIssue}${
+          norm.cityRaw !== undefined
+            ? ` ("${norm.cityRaw}" → "${norm.city}")`
+            : ""
+        }`
+      );
+    }
+
+    console.log(`⚡ NEW JOB: ${describeJob(norm)} - Processing immediately!`);
 
-    // Prevent duplicate processing
-    if (this.processedJobs.has(jobKey)) {
+    // Cancelled or given away before we got to it
+    if (this.isLost(norm)) {
+      console.log(`🚫 Job ${jobKey} is no longer available, skipping...`);
+      return { results: { successful: [], failed: [] }, lost: true };
+    }
+
+    // Prevent duplicate processing (queued jobs were registered when queued)
+    if (!fromQueue && this.processedJobs.has(jobKey)) {
       console.log(`🔄 Job ${jobKey} already processed, skipping...`);
-      return { results: { successful: [jobKey], failed: [] } };
+      return { results: { successful: [jobKey], failed: [] }, duplicate: true };
     }
     this.processedJobs.add(jobKey);
 
+    if (this.dryRun) {
+      console.log(`🧪 Dry run: would apply to ${jobKey}`);
+      return { results: { successful: [], failed: [] }, dryRun: true };
+    }
+
     if (this.isProcessing) {
       console.log("⚠️ Already processing a job, adding to queue...");
-      this.jobQueue.push({ jobDetails: norm, startTime });
+      this.jobQueue.push({ jobDetails: norm, startTime, trace });
       return { results: { successful: [], failed: [] }, queued: true };
     }
 
     this.isProcessing = true;
+    trace.mark("started");
 
     try {
       console.log("🔄 Processing job using details method...");
-      const success = await this.automator.applyToJobByDetails(norm);
+      const success = await this.automator.applyToJobByDetails(norm, trace);
+      trace.mark("verified");
+      this.latency.record(trace, {
+        job: jobKey,
+        outcome: success ? "applied" : "failed",
+      });
 
       const results = {
         successful: success ? [jobKey] : [],
@@ -150,6 +257,8 @@ class UmzugshilfeService {
 
       const responseTime = Date.now() - startTime;
 
+      if (success) this.jobStatus.markApplied(norm);
+
       this.stats.totalJobsProcessed += 1;
       this.stats.successCount += results.successful.length;
       this.stats.failCount += results.failed.length;
@@ -157,7 +266,8 @@ class UmzugshilfeService {
       if (results.successful.length > 0) {
         await this.emailWatcher.sendSuccessNotification(
           results.successful,
-          responseTime
+          responseTime,
+          [norm]
         );
       }
 
@@ -173,8 +283,9 @@ class UmzugshilfeService {
       };
     } catch (error) {
       console.error("❌ Job processing failed:", error);
+      this.latency.record(trace, { job: jobKey, outcome: "error" });
       this.stats.failCount += 1;
-      await this.emailWatcher.sendErrorNotification(error, [jobKey]);
+      await this.emailWatcher.sendErrorNotification(error, [jobKey], [norm]);
       return {
         results: { successful: [], failed: [jobKey] },
         error: error.message,
@@ -277,11 +388,172 @@ class UmzugshilfeService {
       console.log(`📦 Processing queued job...`);
 
       setTimeout(() => {
-        this.handleNewJob(nextJob.jobDetails);
+        this.handleNewJob(nextJob.jobDetails, {
+          fromQueue: true,
+          trace: nextJob.trace,
+        });
       }, 1000);
     }
   }
 
+  isLost(job) {
+    return this.lostJobs.some((ref) => sameJob(job, ref));
+  }
+
+  // Notice mail about a known job:
+  //   cancelled / taken   → drop it from the queue and remember it as lost
+  //   confirmed / declined → reconcile the status of our application
+  async handleJobNotice({ kind, details = {}, subject = "" } = {}) {
+    const ref = {
+      date: normalizeDate(details.date),
+      time: normalizeTime(details.time),
+      zip: normalizeZip(details.zip),
+      jobNumber: normalizeJobNumber(details.jobNumber),
+    };
+    if (!ref.jobNumber && !(ref.date && ref.zip)) {
+      console.log(
+        `⚠️ Job notice (${kind}) names no job we can match: ${subject}`
+      );
+      return { matched: false, dequeued: 0 };
+    }
+
+    if (kind === "confirmed" || kind === "declined") {
+      return this.reconcileAssignment(kind, ref, subject);
+    }
+
+    const removed = this.jobQueue.filter((q) => sameJob(q.jobDetails, ref));
+    this.jobQueue = this.jobQueue.filter((q) => !removed.includes(q));
+    const dequeued = removed.length;
+
+    // a queued match knows the fields the notice left out (e.g. only "#12345")
+    if (removed.length) {
+      const { date, time, zip } = removed[0].jobDetails;
+      ref.date = ref.date || date;
+      ref.time = ref.time || time;
+      ref.zip = ref.zip || zip;
+    }
+
+    this.lostJobs.push({ ...ref, kind, subject, at: new Date().toISOString() });
+    if (this.lostJobs.length > MAX_LOST_JOBS) this.lostJobs.shift();
+    this.stats.lostCount += 1;
+
+    console.log(
+      `🚫 Job ${describeRef(ref)} ${kind}${
+        dequeued ? `, removed ${dequeued} queued application(s)` : ""
+      }`
+    );
+
+    // Already applied: the platform took it back
+    const applied = this.jobStatus.find(ref);
+    if (applied) {
+      await this.updateJobStatus(
+        applied,
+        kind === "cancelled" ? "cancelled" : "declined",
+        subject
+      );
+    }
+    return { matched: true, dequeued };
+  }
+
+  // Assignment mail: applied → confirmed / declined
+  async reconcileAssignment(status, ref, subject) {
+    const entry = this.jobStatus.find(ref);
+    if (!entry) {
+      // still worth knowing — we may have applied by hand or before a restart
+      console.log(
+        `⚠️ Assignment ${status} for ${describeRef(
+          ref
+        )} matches no application: ${subject}`
+      );
+      if (!this.dryRun) {
+        await this.emailWatcher.sendAssignmentNotification(status, ref, {
+          subject,
+        });
+      }
+      return { matched: false, dequeued: 0, status };
+    }
+
+    await this.updateJobStatus(entry, status, subject);
+    return { matched: true, dequeued: 0, key: entry.key, status };
+  }
+
+  async updateJobStatus(entry, status, subject) {
+    const previous = entry.status;
+    if (previous === status) return entry;
+
+    if (this.dryRun) {
+      console.log(
+        `🧪 Dry run: would mark ${entry.key} ${previous} → ${status}`
+      );
+      return entry;
+    }
+
+    this.jobStatus.setStatus(entry, status, subject);
+    console.log(`📌 Job ${entry.key}: ${previous} → ${status}`);
+    await this.emailWatcher.sendAssignmentNotification(status, entry.job, {
+      previous,
+      subject,
+    });
+    return entry;
+  }
+
+  // Re-run the (possibly fixed) grammars on a quarantined mail and dispatch its jobs
+  async retryQuarantined(id, { force = false } = {}) {
+    const entry = this.quarantine.get(id);
+    if (!entry) return null;
+
+    // possibly forged: only released on explicit request
+    if (entry.reason === "sender_auth" && !force) {
+      console.log(`🚨 Quarantined mail ${id} failed sender authentication`);
+      return { retried: false, reason: "sender_auth", auth: entry.auth };
+    }
+
+    const parsed = parseJobMail({
+      subject: entry.subject,
+      body: entry.body || undefined,
+      internalDate: entry.internalDate ? new Date(entry.internalDate) : null,
+    });
+    const summary = {
+      grammar: parsed.grammar,
+      confidence: parsed.confidence,
+      found: parsed.found,
+      rejected: parsed.rejected || null,
+    };
+
+    if (parsed.notice) {
+      const notice = await this.handleJobNotice({
+        kind: parsed.notice,
+        details: parsed.details || {},
+        subject: entry.subject,
+      });
+      this.quarantine.remove(id);
+      return { retried: true, ...summary, notice: parsed.notice, ...notice };
+    }
+
+    const accepted =
+      parsed.complete &&
+      (force || parsed.confidence >= this.emailWatcher.minConfidence);
+    if (!accepted) {
+      this.quarantine.update(id, {
+        ...summary,
+        retries: (entry.retries || 0) + 1,
+        lastRetryAt: new Date().toISOString(),
+      });
+      console.log(`🧪 Quarantined mail ${id} still not parseable`);
+      return { retried: false, ...summary };
+    }
+
+    const results = [];
+    for (const job of parsed.jobs) {
+      results.push(await this.handleNewJob(job));
+    }
+    this.quarantine.remove(id);
+    console.log(
+      `✅ Released quarantined mail ${id} (${parsed.jobs.length} job(s))`
+    );
+    return { retried: true, ...summary, jobs: parsed.jobs, results };
+  }
+
   setupExpress() {
     this.app.use(express.json());
 
@@ -291,6 +563,10 @@ class UmzugshilfeService {
         uptime: Date.now() - this.stats.startTime,
         browserReady: this.automator.isReady(),
         emailConnected: this.emailWatcher.isConnected(),
+        mailboxes: this.emailWatcher.status(),
+        inboundMail: this.inboundSecret
+          ? this.emailWatcher.inbound.status()
+          : { enabled: false },
         smtpConfigured: !!process.env.EMAIL_ADDRESS,
         processing: "details_only", // Indicate simplified mode
       });
@@ -302,7 +578,12 @@ class UmzugshilfeService {
         uptime: Date.now() - this.stats.startTime,
         isProcessing: this.isProcessing,
         queueLength: this.jobQueue.length,
+        lostJobs: this.lostJobs.length,
+        assignments: this.jobStatus.counts(),
         processedJobsCount: this.processedJobs.size,
+        quarantined: this.quarantine.size(),
+        deadLetters: this.emailWatcher.deadLetters.size(),
+        latency: this.latency.summary(),
         successRate:
           this.stats.totalJobsProcessed > 0
             ? Math.round(
@@ -312,6 +593,12 @@ class UmzugshilfeService {
       });
     });
 
+    // Per-job stage timings behind the /stats percentiles, newest last
+    this.app.get("/stats/latency", (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 500);
+      res.json({ traces: this.latency.recent(limit) });
+    });
+
     // SIMPLIFIED: Manual trigger now only accepts job details
     this.app.post("/trigger", async (req, res) => {
       const { date, time, zip, city } = req.body;
@@ -322,7 +609,8 @@ class UmzugshilfeService {
         });
       }
 
-      const jobDetails = { date, time, zip, city };
+      // optional extras (endTime, jobNumber, ...) are sanitized by normalizeDetails
+      const jobDetails = { ...req.body, date, time, zip, city };
 
       try {
         const result = await this.handleNewJob(jobDetails);
@@ -332,6 +620,111 @@ class UmzugshilfeService {
       }
     });
 
+    // Raw RFC 822 mail pushed by the mail server (Postfix pipe, procmail, webhooks)
+    this.app.post(
+      "/inbound/mail",
+      express.raw({
+        type: () => true,
+        limit: process.env.INBOUND_MAIL_MAX_SIZE || "10mb",
+      }),
+      async (req, res) => {
+        if (!this.inboundSecret) {
+          return res.status(503).json({ error: "Inbound mail is disabled" });
+        }
+        if (!Buffer.isBuffer(req.body) || !req.body.length) {
+          return res
+            .status(400)
+            .json({ error: "Expected the raw message as request body" });
+        }
+        if (!authenticateInbound(req.headers, req.body, this.inboundSecret)) {
+          return res.status(401).json({ error: "Unauthorized" });
+        }
+
+        try {
+          const result = await this.emailWatcher.receiveRaw(
+            req.body,
+            (d, meta) => this.handleNewJob(d, meta)
+          );
+          res.json({ success: true, ...result });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+
+    // Unparsed / low-confidence mails: inspect, retry after a grammar fix, discard
+    this.app.get("/quarantine", (req, res) => {
+      const entries = this.quarantine.list().map(({ body, ...rest }) => ({
+        ...rest,
+        bodyPreview: (body || "").slice(0, 500),
+      }));
+      res.json({ count: entries.length, entries });
+    });
+
+    this.app.get("/quarantine/:id", (req, res) => {
+      const entry = this.quarantine.get(req.params.id);
+      if (!entry) return res.status(404).json({ error: "Not found" });
+      res.json(entry);
+    });
+
+    this.app.post("/quarantine/:id/retry", async (req, res) => {
+      try {
+        const result = await this.retryQuarantined(req.params.id, {
+          force: !!(req.body && req.body.force),
+        });
+        if (!result) return res.status(404).json({ error: "Not found" });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete("/quarantine/:id", (req, res) => {
+      const removed = this.quarantine.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "Not found" });
+      res.json({ success: true });
+    });
+
+    // Scan every mailbox now instead of waiting for the next poll / IDLE event
+    this.app.post("/mailboxes/scan", async (req, res) => {
+      try {
+        const mailboxes = await this.emailWatcher.scanNow();
+        res.json({ success: mailboxes.every((m) => m.ok), mailboxes });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Mails whose processing kept failing: list, requeue, discard
+    this.app.get("/dead-letters", (req, res) => {
+      const entries = this.emailWatcher.deadLetters.list();
+      res.json({ count: entries.length, entries });
+    });
+
+    this.app.post("/dead-letters/:id/retry", (req, res) => {
+      const requeued = this.emailWatcher.requeueDeadLetter(req.params.id);
+      if (requeued === null)
+        return res.status(404).json({ error: "Not found" });
+      if (!requeued) {
+        return res
+          .status(409)
+          .json({ error: "Mailbox of this mail is no longer watched" });
+      }
+      res.json({ success: true, message: "Requeued, scan started" });
+    });
+
+    this.app.delete("/dead-letters/:id", (req, res) => {
+      const removed = this.emailWatcher.deadLetters.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "Not found" });
+      res.json({ success: true });
+    });
+
+    // Jobs we applied for and what the platform made of it (?status=confirmed)
+    this.app.get("/jobs/status", (req, res) => {
+      const entries = this.jobStatus.list(req.query.status);
+      res.json({ count: entries.length, entries });
+    });
+
     this.app.post("/test-email", async (req, res) => {
       try {
         await this.emailWatcher.sendTestEmail();
@@ -349,13 +742,18 @@ class UmzugshilfeService {
 
     try {
       await this.automator.initialize();
-      console.log("✅ Browser ready and logged in");
+      console.log("✅ Automation ready and logged in");
 
       await this.emailWatcher.initialize();
       console.log("✅ SMTP connection established");
 
+      this.emailWatcher.setNoticeHandler((notice) =>
+        this.handleJobNotice(notice)
+      );
       // SIMPLIFIED: Pass the simplified handler that expects details object
-      this.emailWatcher.startPolling((details) => this.handleNewJob(details));
+      this.emailWatcher.startPolling((details, meta) =>
+        this.handleNewJob(details, meta)
+      );
       console.log("✅ Email monitoring active (details-only mode)");
 
       setInterval(() => this.cleanupProcessedJobs(), 60000);
@@ -396,3 +794,4 @@ if (require.main === module) {
 }
 
 module.exports = UmzugshilfeService;
+module.exports.normalizeDetails = normalizeDetails;
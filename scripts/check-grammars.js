@@ -0,0 +1,27 @@
+// scripts/check-grammars.js
+// Runs every registered grammar's sample fixtures through the parser registry.
+// usage: node scripts/check-grammars.js
+const { listGrammars, verifyGrammarSamples } = require("../src/lib/grammars");
+
+function main() {
+  console.log(`🧩 Grammars (in order): ${listGrammars().join(", ")}`);
+
+  const results = verifyGrammarSamples();
+  for (const r of results) {
+    console.log(
+      `${r.ok ? "✅" : "❌"} [${r.grammar}] ${r.subject}${
+        r.ok
+          ? ""
+          : `\n   expected ${JSON.stringify(r.expected)} via ${
+              r.grammar
+            }\n   got      ${JSON.stringify(r.got)} via ${r.matched}`
+      }`
+    );
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  console.log(`\n${results.length - failed}/${results.length} samples passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,166 @@
+// scripts/replay-mail.js
+// Replays saved job mails (.eml files or an mbox export) through the same
+// decode → parse → normalize steps the watcher uses and prints the decisions.
+// usage: node scripts/replay-mail.js [--handle] [--json] <file.eml|export.mbox|dir>...
+//   --handle  also pass each job to handleNewJob in dry-run mode (dedupe, never applies)
+//   --json    one JSON line per job on stdout instead of the table (logs go to stderr)
+const fs = require("fs");
+const path = require("path");
+
+const UmzugshilfeService = require("../app");
+const { normalizeDetails } = UmzugshilfeService;
+const { EmailWatcher } = require("../src/lib/email-watcher-smtp-new");
+const { parseJobMail } = require("../src/lib/grammars");
+const { describeJob } = require("../src/lib/job-record");
+const { parseMessage, receivedDateOf } = require("../src/lib/mime");
+
+const args = process.argv.slice(2);
+const HANDLE = args.includes("--handle");
+const JSON_OUT = args.includes("--json");
+const INPUTS = args.filter((a) => !a.startsWith("--"));
+
+const MAIL_EXT = /\.(eml|mbox|mbx)$/i;
+
+// files and directories → sorted list of mail files
+function collectFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter((f) => MAIL_EXT.test(f))
+        .sort()
+        .forEach((f) => files.push(path.join(input, f)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+// one file → raw messages (latin1 strings, as parseMessage expects)
+function readMessages(file) {
+  const raw = fs.readFileSync(file).toString("latin1");
+  if (!/^From /.test(raw)) return [raw]; // plain .eml
+
+  // mbox: every message starts with a "From " line; ">From " in bodies is escaped
+  return raw
+    .split(/\r?\n(?=From )/)
+    .map((m) => m.replace(/^From [^\n]*\n/, "").replace(/^>(>*From )/gm, "$1"))
+    .filter((m) => m.trim());
+}
+
+const truncate = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// mirrors checkForNewEmails: subject first, body only when it is needed
+function parseLikeWatcher(msg, internalDate) {
+  const { subject, bodyText } = msg;
+  let parsed = parseJobMail({ subject, internalDate });
+  if (!parsed.complete && !parsed.skipped && !parsed.rejected) {
+    parsed = parseJobMail({ subject, body: bodyText, internalDate });
+  }
+  return parsed;
+}
+
+// handleNewJob result → short decision label
+function handledDecision(result) {
+  if (result.results.failed.includes("INVALID_DETAILS")) return "invalid";
+  if (result.lost) return "lost";
+  if (result.duplicate) return "duplicate";
+  if (result.dryRun) return "would_apply";
+  return "unknown";
+}
+
+async function main() {
+  if (!INPUTS.length) {
+    console.error(
+      "usage: node scripts/replay-mail.js [--handle] [--json] <file.eml|export.mbox|dir>..."
+    );
+    process.exit(2);
+  }
+
+  // keep stdout clean for the JSON lines
+  if (JSON_OUT) console.log = console.error;
+
+  const service = HANDLE ? new UmzugshilfeService({ dryRun: true }) : null;
+  const watcher = service ? service.emailWatcher : new EmailWatcher();
+
+  const rows = [];
+  for (const file of collectFiles(INPUTS)) {
+    const messages = readMessages(file);
+    for (let i = 0; i < messages.length; i++) {
+      const msg = parseMessage(messages[i]);
+      const internalDate =
+        receivedDateOf(msg.headers) || fs.statSync(file).mtime;
+      const parsed = parseLikeWatcher(msg, internalDate);
+      const decision = watcher.classifyParse(parsed);
+
+      const base = {
+        mail: messages.length > 1 ? `${file}#${i + 1}` : file,
+        received: internalDate.toISOString().slice(0, 16).replace("T", " "),
+        subject: msg.subject,
+        grammar: parsed.grammar || "-",
+        confidence: parsed.confidence,
+      };
+
+      // --handle: notices remove/mark jobs just like in the live service
+      if (decision === "notice" && service) {
+        await service.handleJobNotice({
+          kind: parsed.notice,
+          details: parsed.details || {},
+          subject: msg.subject,
+        });
+      }
+
+      if (decision !== "apply") {
+        rows.push({
+          ...base,
+          job: parsed.found.length
+            ? `found: ${parsed.found.join(", ")}`
+            : "nothing found",
+          decision: parsed.notice ? `notice:${parsed.notice}` : decision,
+        });
+        continue;
+      }
+
+      for (const job of parsed.jobs) {
+        const norm = normalizeDetails(job);
+        let jobDecision = norm ? "apply" : "invalid";
+        if (norm && service) {
+          jobDecision = handledDecision(await service.handleNewJob(job));
+        }
+        rows.push({
+          ...base,
+          job: norm ? describeJob(norm) : JSON.stringify(job),
+          details: norm || job,
+          decision: jobDecision,
+        });
+      }
+    }
+  }
+
+  if (JSON_OUT) {
+    for (const row of rows) process.stdout.write(`${JSON.stringify(row)}\n`);
+  } else {
+    console.table(
+      rows.map(({ details, ...row }) => ({
+        ...row,
+        mail: truncate(path.basename(row.mail), 28),
+        subject: truncate(row.subject, 48),
+      }))
+    );
+
+    const counts = {};
+    for (const r of rows) counts[r.decision] = (counts[r.decision] || 0) + 1;
+    console.log(
+      `\n📊 ${rows.length} row(s): ${Object.entries(counts)
+        .map(([k, n]) => `${k} ${n}`)
+        .join(", ")}`
+    );
+  }
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error("❌ Replay error:", e);
+  process.exit(1);
+});
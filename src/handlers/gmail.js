@@ -1,8 +1,8 @@
 // Gmail integration handler for Umzugshilfe Job Auto-Applier
 // Optimized for real-time job detection and processing
 
-const { google } = require("googleapis");
 const AWS = require("aws-sdk");
+const { GmailClient: GmailApi } = require("../lib/gmail-client");
 
 const lambda = new AWS.Lambda();
 
@@ -17,26 +17,14 @@ const CONFIG = {
     process.env.MAIN_LAMBDA_FUNCTION || "umzugshilfe-job-processor",
 };
 
-class GmailClient {
+// OAuth setup and API calls are shared with the mail source (lib/gmail-client.js)
+class GmailClient extends GmailApi {
   constructor() {
-    this.gmail = null;
-    this.oauth2Client = null;
-  }
-
-  async initialize() {
-    console.log("📧 Initializing Gmail API...");
-
-    this.oauth2Client = new google.auth.OAuth2(
-      CONFIG.GMAIL_CREDENTIALS.client_id,
-      CONFIG.GMAIL_CREDENTIALS.client_secret
-    );
-
-    this.oauth2Client.setCredentials({
-      refresh_token: CONFIG.GMAIL_CREDENTIALS.refresh_token,
+    super({
+      clientId: CONFIG.GMAIL_CREDENTIALS.client_id,
+      clientSecret: CONFIG.GMAIL_CREDENTIALS.client_secret,
+      refreshToken: CONFIG.GMAIL_CREDENTIALS.refresh_token,
     });
-
-    this.gmail = google.gmail({ version: "v1", auth: this.oauth2Client });
-    console.log("✅ Gmail API initialized");
   }
 
   async checkForNewJobEmails() {
@@ -44,25 +32,22 @@ class GmailClient {
       const searchQuery = `from:${CONFIG.TARGET_SENDER} subject:"#" is:unread`;
       console.log(`🔍 Searching emails: ${searchQuery}`);
 
-      const response = await this.gmail.users.messages.list({
-        userId: "me",
+      const messageIds = await this.listMessageIds({
         q: searchQuery,
         maxResults: 10,
       });
-
-      const messages = response.data.messages || [];
-      console.log(`📧 Found ${messages.length} job emails`);
+      console.log(`📧 Found ${messageIds.length} job emails`);
 
       const jobIds = [];
 
-      for (const message of messages) {
-        const emailContent = await this.getEmailContent(message.id);
+      for (const messageId of messageIds) {
+        const emailContent = await this.getEmailContent(messageId);
         if (emailContent && emailContent.from.includes(CONFIG.TARGET_SENDER)) {
           const extractedIds = this.extractJobIds(emailContent);
           jobIds.push(...extractedIds);
 
           // Mark as read to avoid reprocessing
-          await this.markAsRead(message.id);
+          await this.markAsRead(messageId);
         }
       }
 
@@ -75,13 +60,7 @@ class GmailClient {
 
   async getEmailContent(messageId) {
     try {
-      const response = await this.gmail.users.messages.get({
-        userId: "me",
-        id: messageId,
-        format: "full",
-      });
-
-      const message = response.data;
+      const message = await this.getMessage(messageId, { format: "full" });
       const headers = message.payload.headers;
 
       const subject = headers.find((h) => h.name === "Subject")?.value || "";
@@ -121,11 +100,7 @@ class GmailClient {
 
   async markAsRead(messageId) {
     try {
-      await this.gmail.users.messages.modify({
-        userId: "me",
-        id: messageId,
-        requestBody: { removeLabelIds: ["UNREAD"] },
-      });
+      await super.markAsRead(messageId);
       console.log(`✅ Marked email ${messageId} as read`);
     } catch (error) {
       console.error(`❌ Failed to mark email as read:`, error);
@@ -0,0 +1,341 @@
+// src/lib/automator-http.js
+// Browserless Umzugshilfe automator: login, Meine Jobs list and the accept POST
+// straight from Node with a persistent cookie jar. Same interface as the
+// Playwright automator, which is only launched when this path breaks.
+
+const { CookieJar } = require("./cookie-jar");
+const {
+  parseJobList,
+  parseLoginForm,
+  isLoginPage,
+} = require("./job-list-html");
+
+const escapeRe = (s = "") => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const MAX_REDIRECTS = 5;
+const USER_AGENT =
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+// row state after a successful accept (see _applyViaFormFetch)
+const ACCEPTED_RE = /(waiting|wartend|accepted|pending)/i;
+
+class HttpAutomator {
+  /**
+   * @param {{ fallback?: () => Object }} [options]
+   *   fallback - creates the Playwright automator, launched on first need
+   */
+  constructor({ fallback = null } = {}) {
+    this.jar = new CookieJar();
+    this.fallbackFactory = fallback;
+    this.fallback = null;
+    this.ready = false;
+    this.isLoggedIn = false;
+    this.keepAliveTimer = null;
+
+    this.config = {
+      username: process.env.LOGIN_USERNAME,
+      password: process.env.LOGIN_PASSWORD,
+      baseUrl: "https://studenten-umzugshilfe.com",
+      timeout: 25000,
+      keepAliveMinutes: 4,
+    };
+  }
+
+  /* ---------------------------------- BOOT --------------------------------- */
+
+  async initialize() {
+    console.log("🤖 Initializing HTTP automation...");
+    if (!this.config.username || !this.config.password) {
+      throw new Error("LOGIN_USERNAME and LOGIN_PASSWORD must be configured");
+    }
+
+    try {
+      // a saved session skips the login
+      await this._fetchJobList();
+    } catch (err) {
+      if (!this.fallbackFactory) throw err;
+      console.log(`⚠️ HTTP automation unavailable (${err.message})`);
+      await this._browser();
+      return;
+    }
+
+    this.ready = true;
+    this._startKeepAlive();
+    console.log("✅ HTTP automation ready");
+  }
+
+  // Playwright automator, launched once on first need
+  async _browser() {
+    if (!this.fallback) {
+      console.log("🌐 Falling back to browser automation...");
+      const browser = this.fallbackFactory();
+      await browser.initialize();
+      this.fallback = browser;
+    }
+    return this.fallback;
+  }
+
+  /* --------------------------------- HTTP ---------------------------------- */
+
+  // fetch with our cookies; follows redirects itself so every hop's
+  // Set-Cookie lands in the jar → { ok, status, url, html }
+  async _request(path, { method = "GET", body = null, referer = null } = {}) {
+    let url = new URL(path, this.config.baseUrl);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const headers = {
+        "user-agent": USER_AGENT,
+        accept: "text/html,application/xhtml+xml",
+        "accept-language": "de-DE,de;q=0.9",
+      };
+      const cookie = this.jar.header(url);
+      if (cookie) headers.cookie = cookie;
+      if (referer) headers.referer = referer;
+      if (method !== "GET") headers.origin = url.origin;
+
+      const res = await fetch(url, {
+        method,
+        body,
+        headers,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.config.timeout),
+      });
+      this.jar.setCookies(url, res.headers.getSetCookie());
+
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        await res.arrayBuffer().catch(() => {});
+        referer = url.href;
+        url = new URL(location, url);
+        // 307/308 repeat the request, the others turn into a GET
+        if (res.status !== 307 && res.status !== 308) {
+          method = "GET";
+          body = null;
+        }
+        continue;
+      }
+      return {
+        ok: res.ok,
+        status: res.status,
+        url: url.href,
+        html: await res.text(),
+      };
+    }
+    throw new Error(`Too many redirects for ${path}`);
+  }
+
+  // the site sends expired sessions to /login
+  _atLogin(res) {
+    return (
+      new URL(res.url).pathname.startsWith("/login") || isLoginPage(res.html)
+    );
+  }
+
+  // form fields (+ submit button) as the browser would send them
+  async _submitForm(
+    form,
+    pageUrl,
+    {
+      extra = [],
+      submitter = null,
+      multipart = form.enctype === "multipart/form-data",
+    } = {}
+  ) {
+    const action = new URL(form.action || pageUrl, pageUrl);
+    const fields = [...form.fields];
+    if (submitter && submitter.name) {
+      fields.push([submitter.name, submitter.value || "1"]);
+    }
+    for (const [name, value] of extra) {
+      const existing = fields.find(([n]) => n === name);
+      if (existing) existing[1] = value;
+      else fields.push([name, value]);
+    }
+
+    if (form.method === "GET") {
+      for (const [name, value] of fields) action.searchParams.set(name, value);
+      return this._request(action.href, { referer: pageUrl });
+    }
+    let body;
+    if (multipart) {
+      body = new FormData();
+      for (const [name, value] of fields) body.append(name, value);
+    } else {
+      body = new URLSearchParams(fields);
+    }
+    return this._request(action.href, {
+      method: form.method,
+      body,
+      referer: pageUrl,
+    });
+  }
+
+  /* --------------------------------- LOGIN --------------------------------- */
+
+  async _login() {
+    console.log("🔐 Logging into Umzugshilfe (HTTP)...");
+    this.isLoggedIn = false;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const page = await this._request("/login");
+      const form = parseLoginForm(page.html);
+      if (!form) throw new Error("Login form not found");
+
+      const res = await this._submitForm(form, page.url, {
+        extra: [
+          ["username", this.config.username],
+          ["password", this.config.password],
+        ],
+        submitter: form.buttons[0],
+      });
+
+      if (res.ok && !this._atLogin(res)) {
+        this.isLoggedIn = true;
+        console.log("✅ Logged in (HTTP)");
+        return;
+      }
+      // Retry once in case of CSRF token rotation
+      console.log(`⚠️ Login attempt ${attempt} did not leave /login`);
+    }
+    throw new Error("Login failed - still on /login after submit");
+  }
+
+  /* ------------------------------ MEINE JOBS ------------------------------- */
+
+  // → { url, entries } of a fresh Meine Jobs page, logging in when needed
+  async _fetchJobList() {
+    let res = await this._request("/intern/meine-jobs");
+    if (this._atLogin(res)) {
+      console.log("🔐 Session expired — re-logging in…");
+      await this._login();
+      res = await this._request("/intern/meine-jobs");
+      if (this._atLogin(res)) throw new Error("Still on /login after login");
+    }
+    if (!res.ok) throw new Error(`fetch list ${res.status}`);
+    if (!new URL(res.url).pathname.startsWith("/intern/meine-jobs")) {
+      throw new Error(`Meine Jobs redirected to ${res.url}`);
+    }
+    this.isLoggedIn = true;
+    return { url: res.url, entries: parseJobList(res.html) };
+  }
+
+  // The job number is unambiguous; the date/time/zip needle is the fallback
+  _findEntry(entries, { date, time, zip, city, jobNumber }) {
+    if (jobNumber) {
+      const idRe = new RegExp(`#\\s?${escapeRe(jobNumber)}\\b`);
+      const byId = entries.find((e) => idRe.test(e.fullText));
+      if (byId) return byId;
+    }
+    const cityPart = city ? `\\s+${escapeRe(city)}` : "(?:\\s+\\S+)?";
+    const needle = new RegExp(
+      `Am\\s+${escapeRe(date)}\\s+um\\s+${escapeRe(time)}\\s+in\\s+${escapeRe(
+        zip
+      )}${cityPart}`,
+      "i"
+    );
+    return entries.find((e) => needle.test(e.text)) || null;
+  }
+
+  /* ------------------------ APPLY BY DATE/TIME/ZIP/CITY --------------------- */
+
+  /**
+   * @param {import("./job-record").JobRecord} job
+   * @param {import("./latency").JobTrace} [trace] - gets "listed" and "posted" marks
+   */
+  async applyToJobByDetails(job, trace = null) {
+    if (this.fallback && !this.ready) {
+      return this.fallback.applyToJobByDetails(job, trace);
+    }
+    try {
+      return await this._applyOverHttp(job, trace);
+    } catch (err) {
+      console.log(`❌ HTTP apply failed: ${err.message}`);
+      if (!this.fallbackFactory) throw err;
+      const browser = await this._browser();
+      return browser.applyToJobByDetails(job, trace);
+    }
+  }
+
+  async _applyOverHttp(job, trace) {
+    // Normalize time to HH:MM
+    const m = String(job.time || "").match(/^(\d{1,2}):(\d{2})$/);
+    const time = m ? `${String(m[1]).padStart(2, "0")}:${m[2]}` : job.time;
+    const target = { ...job, time };
+
+    // a session that expires between list and POST gets one fresh login
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { url, entries } = await this._fetchJobList();
+      if (trace) trace.mark("listed");
+
+      const entry = this._findEntry(entries, target);
+      if (!entry) {
+        console.log(
+          `❌ No row found for: Am ${target.date} um ${time} in ${target.zip}${
+            target.city ? " " + target.city : ""
+          }`
+        );
+        return false;
+      }
+      if (!entry.form) {
+        if (ACCEPTED_RE.test(entry.status)) {
+          console.log(`ℹ️ Row is already "${entry.status}"`);
+          return true;
+        }
+        throw new Error("no_form");
+      }
+
+      const accept =
+        entry.form.buttons.find(
+          (b) => b.id === "ctrl_accept" || b.name === "accept"
+        ) || null;
+      // the browser path posts FormData, i.e. multipart
+      const res = await this._submitForm(entry.form, url, {
+        submitter: accept,
+        multipart: true,
+      });
+      if (trace) trace.mark("posted");
+
+      if (this._atLogin(res)) {
+        console.log("🔐 Session expired during accept — re-logging in…");
+        await this._login();
+        continue;
+      }
+      if (!res.ok) {
+        console.log("❌ Accept POST failed:", res.status);
+        return false;
+      }
+      return true;
+    }
+    throw new Error("Session keeps expiring");
+  }
+
+  /* ------------------------------ UTILITIES -------------------------------- */
+
+  _startKeepAlive() {
+    if (this.keepAliveTimer) clearInterval(this.keepAliveTimer);
+    const every = Math.max(2, this.config.keepAliveMinutes) * 60 * 1000;
+    this.keepAliveTimer = setInterval(async () => {
+      try {
+        await this._request("/intern/meine-daten", { method: "HEAD" });
+      } catch (_) {}
+    }, every);
+  }
+
+  async cleanup() {
+    if (this.keepAliveTimer) clearInterval(this.keepAliveTimer);
+    if (this.fallback) await this.fallback.cleanup();
+    this.ready = false;
+    this.isLoggedIn = false;
+    console.log("✅ HTTP automation cleanup completed");
+  }
+
+  isReady() {
+    if (this.ready) return this.isLoggedIn;
+    return !!this.fallback && this.fallback.isReady();
+  }
+
+  async healthCheck() {
+    if (this.ready) return this.isLoggedIn;
+    return !!this.fallback && this.fallback.healthCheck();
+  }
+}
+
+module.exports = { HttpAutomator };
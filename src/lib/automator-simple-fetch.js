@@ -4,6 +4,7 @@
 const fs = require("fs");
 const path = require("path");
 const { chromium } = require("playwright");
+const { extractJobAttributes } = require("./job-record");
 
 const AUTH_STATE_PATH = path.resolve(process.cwd(), "auth.json");
 const escapeRe = (s = "") => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -259,8 +260,9 @@ class UmzugshilfeAutomator {
   /* ------------------------------ SOFT REFRESH ------------------------------ */
 
   // Pull fresh Meine Jobs HTML without reloading; returns parsed rows
+  // (row text, status, id + jobNumber/helpersNeeded/hourlyRate/jobType)
   async _softRefreshJobsInPage() {
-    return await this.page.evaluate(async () => {
+    const rows = await this.page.evaluate(async () => {
       const r = await fetch("/intern/meine-jobs", { credentials: "include" });
       if (!r.ok) return [];
       const html = await r.text();
@@ -269,8 +271,13 @@ class UmzugshilfeAutomator {
         text: el.querySelector(".date.location")?.textContent?.trim() || "",
         status: el.getAttribute("data-status") || "",
         id: (el.textContent || "").match(/#\s?(\d{4,7})/)?.[1] || null,
+        fullText: (el.textContent || "").replace(/\s+/g, " ").trim(),
       }));
     });
+    return rows.map((row) => ({
+      ...row,
+      ...extractJobAttributes(row.fullText),
+    }));
   }
 
   // Prefer soft refresh; fallback to real reload only if needed
@@ -297,47 +304,63 @@ class UmzugshilfeAutomator {
   /* ------------------ DIRECT APPLY FROM FRESH HTML (FAST) ------------------- */
 
   // Apply directly from freshly-fetched HTML (handles jobs not yet visible in live DOM)
-  async _applyDirectFromFreshHTML({ date, time, zip, city }) {
+  async _applyDirectFromFreshHTML({ date, time, zip, city, jobNumber }, trace) {
     const cityPart = city ? `\\s+${escapeRe(city)}` : "(?:\\s+\\S+)?";
     const needle = `Am\\s+${escapeRe(date)}\\s+um\\s+${escapeRe(
       time
     )}\\s+in\\s+${escapeRe(zip)}${cityPart}`;
 
-    const res = await this.page.evaluate(async (needleSource) => {
-      const re = new RegExp(needleSource, "i");
-      const resp = await fetch("/intern/meine-jobs", {
-        credentials: "include",
-      });
-      if (!resp.ok) return { ok: false, why: `fetch list ${resp.status}` };
-      const html = await resp.text();
+    const res = await this.page.evaluate(
+      async ({ needleSource, jobNumber }) => {
+        const re = new RegExp(needleSource, "i");
+        const idRe = jobNumber ? new RegExp(`#\\s?${jobNumber}\\b`) : null;
+        const resp = await fetch("/intern/meine-jobs", {
+          credentials: "include",
+        });
+        if (!resp.ok) return { ok: false, why: `fetch list ${resp.status}` };
+        const html = await resp.text();
+        const listedAt = Date.now();
+
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        const entries = [...doc.querySelectorAll("div.entry")];
+        // The job number is unambiguous; the date/time/zip needle is the fallback
+        const match =
+          (idRe && entries.find((el) => idRe.test(el.textContent || ""))) ||
+          entries.find((el) =>
+            re.test(el.querySelector("span.date.location")?.textContent || "")
+          );
+        if (!match) return { ok: false, why: "not_found", listedAt };
 
-      const doc = new DOMParser().parseFromString(html, "text/html");
-      const entries = [...doc.querySelectorAll("div.entry")];
-      const match = entries.find((el) =>
-        re.test(el.querySelector("span.date.location")?.textContent || "")
-      );
-      if (!match) return { ok: false, why: "not_found" };
+        const form = match.querySelector("form");
+        if (!form) return { ok: false, why: "no_form", listedAt };
 
-      const form = match.querySelector("form");
-      if (!form) return { ok: false, why: "no_form" };
+        const fd = new FormData(form);
+        const acceptBtn = form.querySelector('#ctrl_accept,[name="accept"]');
+        if (acceptBtn && acceptBtn.name)
+          fd.set(acceptBtn.name, acceptBtn.value || "1");
 
-      const fd = new FormData(form);
-      const acceptBtn = form.querySelector('#ctrl_accept,[name="accept"]');
-      if (acceptBtn && acceptBtn.name)
-        fd.set(acceptBtn.name, acceptBtn.value || "1");
+        const action = form.getAttribute("action") || location.href;
+        const method = (form.getAttribute("method") || "POST").toUpperCase();
 
-      const action = form.getAttribute("action") || location.href;
-      const method = (form.getAttribute("method") || "POST").toUpperCase();
-
-      const post = await fetch(action, {
-        method,
-        body: fd,
-        credentials: "include",
-        redirect: "follow",
-      });
-      const text = await post.text(); // optional debugging
-      return { ok: post.ok, status: post.status, text };
-    }, needle);
+        const post = await fetch(action, {
+          method,
+          body: fd,
+          credentials: "include",
+          redirect: "follow",
+        });
+        const text = await post.text(); // optional debugging
+        return {
+          ok: post.ok,
+          status: post.status,
+          text,
+          listedAt,
+          postedAt: Date.now(),
+        };
+      },
+      { needleSource: needle, jobNumber: jobNumber || null }
+    );
+    // page and Node share the machine clock
+    if (trace) trace.mark("listed", res.listedAt).mark("posted", res.postedAt);
 
     if (!res.ok) {
       console.log(
@@ -355,8 +378,9 @@ class UmzugshilfeAutomator {
 
   /* ------------------------------ APPLY BY ID ------------------------------- */
 
-  async applyToJob(jobId) {
+  async applyToJob(jobId, trace = null) {
     const ok = await this._refreshMeineJobs();
+    if (trace) trace.mark("listed");
     if (!ok) {
       console.log("⚠️ Could not load Meine Jobs");
       return false;
@@ -368,22 +392,36 @@ class UmzugshilfeAutomator {
       console.log(`⚠️ Job #${jobId} not present on Meine Jobs`);
       return false;
     }
-    return await this._applyViaFormFetch(entry.first());
+    return await this._applyViaFormFetch(entry.first(), trace);
   }
 
   /* ------------------------ APPLY BY DATE/TIME/ZIP/CITY --------------------- */
 
-  async applyToJobByDetails({ date, time, zip, city }) {
+  /**
+   * @param {import("./job-record").JobRecord} job
+   * @param {import("./latency").JobTrace} [trace] - gets "listed" and "posted" marks
+   */
+  async applyToJobByDetails(
+    { date, time, zip, city, jobNumber },
+    trace = null
+  ) {
     // Normalize time to HH:MM
     const m = String(time || "").match(/^(\d{1,2}):(\d{2})$/);
     if (m) time = `${String(m[1]).padStart(2, "0")}:${m[2]}`;
 
     // 1) Try direct-from-fresh-HTML first (handles items not rendered yet)
-    let ok = await this._applyDirectFromFreshHTML({ date, time, zip, city });
+    let ok = await this._applyDirectFromFreshHTML(
+      { date, time, zip, city, jobNumber },
+      trace
+    );
     if (ok) return true;
 
-    // 2) Fall back to using the live DOM list
+    // 2) Known job number → match the live row by "#12345"
+    if (jobNumber && (await this.applyToJob(jobNumber, trace))) return true;
+
+    // 3) Fall back to using the live DOM list
     ok = await this._refreshMeineJobs();
+    if (trace) trace.mark("listed");
     if (!ok) return false;
 
     const re = new RegExp(
@@ -412,12 +450,12 @@ class UmzugshilfeAutomator {
         return false;
       }
     }
-    return await this._applyViaFormFetch(entry.first());
+    return await this._applyViaFormFetch(entry.first(), trace);
   }
 
   /* -------------------------- FETCH-BASED FORM SUBMIT ----------------------- */
 
-  async _applyViaFormFetch(entry) {
+  async _applyViaFormFetch(entry, trace = null) {
     const res = await entry.evaluate(async (node) => {
       const form = node.querySelector("form");
       if (!form) return { ok: false, why: "no form" };
@@ -438,6 +476,7 @@ class UmzugshilfeAutomator {
       const text = await r.text();
       return { ok: r.ok, status: r.status, text };
     });
+    if (trace) trace.mark("posted");
 
     if (!res.ok) {
       console.log("❌ Accept fetch failed:", res.status, res.why || "");
@@ -0,0 +1,121 @@
+// cookie-jar.js - Persistent cookies for the browserless automator
+// Enough of RFC 6265 for one site: domain / path / secure matching, expiry,
+// deletion. Kept in DATA_DIR so a restart reuses the logged-in session.
+
+const { JsonStore } = require("./json-store");
+
+// "Name=value; Path=/; Max-Age=3600; HttpOnly" → cookie record (null if malformed)
+function parseSetCookie(header, url) {
+  const [pair, ...attrParts] = String(header).split(";");
+  const eq = pair.indexOf("=");
+  if (eq < 1) return null;
+
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: url.hostname.toLowerCase(),
+    hostOnly: true,
+    path: url.pathname.replace(/\/[^/]*$/, "") || "/",
+    secure: false,
+    expires: null, // ms; null = session cookie
+  };
+  for (const part of attrParts) {
+    const [rawKey, ...rest] = part.split("=");
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join("=").trim();
+    if (key === "domain" && value) {
+      cookie.domain = value.replace(/^\./, "").toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === "path" && value.startsWith("/")) {
+      cookie.path = value;
+    } else if (key === "secure") {
+      cookie.secure = true;
+    } else if (key === "max-age" && /^-?\d+$/.test(value)) {
+      cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+    } else if (key === "expires" && cookie.expires === null) {
+      const at = Date.parse(value);
+      if (!isNaN(at)) cookie.expires = at;
+    }
+  }
+  return cookie;
+}
+
+const domainMatches = (cookie, host) =>
+  cookie.hostOnly
+    ? host === cookie.domain
+    : host === cookie.domain || host.endsWith(`.${cookie.domain}`);
+
+const pathMatches = (cookie, path) =>
+  path === cookie.path ||
+  (path.startsWith(cookie.path) &&
+    (cookie.path.endsWith("/") || path[cookie.path.length] === "/"));
+
+class CookieJar {
+  constructor(fileName = "cookies.json") {
+    this.store = new JsonStore(fileName, { cookies: [] });
+    this.cookies = (this.store.load().cookies || []).filter(
+      (c) => c.expires === null || c.expires > Date.now()
+    );
+  }
+
+  /**
+   * @param {URL} url - the response's URL
+   * @param {string[]} headers - Set-Cookie values (response.headers.getSetCookie())
+   */
+  setCookies(url, headers) {
+    if (!headers || !headers.length) return;
+    for (const header of headers) {
+      const cookie = parseSetCookie(header, url);
+      if (!cookie) continue;
+      this.cookies = this.cookies.filter(
+        (c) =>
+          !(
+            c.name === cookie.name &&
+            c.domain === cookie.domain &&
+            c.path === cookie.path
+          )
+      );
+      // Max-Age=0 / an Expires in the past deletes it
+      if (cookie.expires === null || cookie.expires > Date.now()) {
+        this.cookies.push(cookie);
+      }
+    }
+    this._persist();
+  }
+
+  // → Cookie request header for url ("" if none)
+  header(url) {
+    const host = url.hostname.toLowerCase();
+    const now = Date.now();
+    return this.cookies
+      .filter(
+        (c) =>
+          (c.expires === null || c.expires > now) &&
+          domainMatches(c, host) &&
+          pathMatches(c, url.pathname) &&
+          (!c.secure || url.protocol === "https:")
+      )
+      .sort((a, b) => b.path.length - a.path.length)
+      .map((c) => `${c.name}=${c.value}`)
+      .join("; ");
+  }
+
+  clear() {
+    this.cookies = [];
+    this._persist();
+  }
+
+  size() {
+    return this.cookies.length;
+  }
+
+  _persist() {
+    try {
+      this.store.save({ cookies: this.cookies });
+    } catch (err) {
+      console.error("❌ Failed to persist cookies:", err.message);
+    }
+  }
+}
+
+module.exports = { CookieJar };
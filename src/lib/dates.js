@@ -0,0 +1,190 @@
+// dates.js - Calendar helpers pinned to Europe/Berlin (the platform's timezone)
+
+const TIME_ZONE = "Europe/Berlin";
+
+const z2 = (n) => String(n).padStart(2, "0");
+
+const berlinFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  weekday: "short",
+});
+
+const WEEKDAY_INDEX = {
+  Sun: 0,
+  Mon: 1,
+  Tue: 2,
+  Wed: 3,
+  Thu: 4,
+  Fri: 5,
+  Sat: 6,
+};
+
+const berlinClockFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIME_ZONE,
+  hour: "numeric",
+  minute: "numeric",
+  hourCycle: "h23",
+});
+
+// JS Date → { year, month, day, weekday } as seen on a Berlin wall calendar
+function berlinParts(date = new Date()) {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const parts = {};
+  for (const { type, value } of berlinFormatter.formatToParts(d)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+// Calendar arithmetic on { year, month, day } (no timezone involved)
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+// Whole calendar days from a → b (negative when b lies before a)
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.year, b.month - 1, b.day) -
+      Date.UTC(a.year, a.month - 1, a.day)) /
+      86400000
+  );
+
+// Jobs are posted days or weeks ahead, never most of a year
+const MAX_DAYS_AHEAD = 180;
+
+/**
+ * Pick the year for a "DD.MM." date relative to the mail's received time:
+ * the nearest upcoming occurrence (so 30.12. → "03.01." lands in the next
+ * year). If that is implausibly far ahead, the date most likely lies in the
+ * recent past and the past year is returned, so callers can reject it.
+ */
+function inferYear(day, month, referenceDate = new Date()) {
+  const today = berlinParts(referenceDate);
+  const candidates = [today.year - 1, today.year, today.year + 1].map(
+    (year) => ({ year, diff: daysBetween(today, { year, month, day }) })
+  );
+
+  const upcoming = candidates
+    .filter((c) => c.diff >= 0)
+    .sort((a, b) => a.diff - b.diff)[0];
+  if (upcoming && upcoming.diff <= MAX_DAYS_AHEAD) return upcoming.year;
+
+  const recent = candidates
+    .filter((c) => c.diff < 0)
+    .sort((a, b) => b.diff - a.diff)[0];
+  return (recent || upcoming).year;
+}
+
+// "DD.MM.YYYY" → { year, month, day } (null when malformed)
+function parseDate(str) {
+  const m = String(str || "").match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  return m ? { year: +m[3], month: +m[2], day: +m[1] } : null;
+}
+
+// true when the job day lies before the mail's received day (Berlin)
+function isPastDate(dateStr, referenceDate = new Date()) {
+  const date = parseDate(dateStr);
+  if (!date) return false;
+  return daysBetween(berlinParts(referenceDate), date) < 0;
+}
+
+// JS Date → minutes since midnight on a Berlin wall clock
+function berlinMinutes(date = new Date()) {
+  const parts = {};
+  for (const { type, value } of berlinClockFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+}
+
+// true when the job's start ("DD.MM.YYYY" + "HH:MM", Berlin) has passed;
+// without a usable time only the day counts
+function isPastJob(dateStr, timeStr, now = new Date()) {
+  const date = parseDate(dateStr);
+  if (!date) return false;
+  const days = daysBetween(berlinParts(now), date);
+  if (days !== 0) return days < 0;
+  const m = String(timeStr || "").match(/^(\d{1,2})[.:](\d{2})$/);
+  return !!m && +m[1] * 60 + +m[2] <= berlinMinutes(now);
+}
+
+const formatDate = ({ year, month, day }) => `${z2(day)}.${z2(month)}.${year}`;
+
+const WEEKDAYS = {
+  sonntag: 0,
+  montag: 1,
+  dienstag: 2,
+  mittwoch: 3,
+  donnerstag: 4,
+  freitag: 5,
+  samstag: 6,
+  sonnabend: 6,
+};
+
+const RELATIVE_WORD =
+  "(heute|übermorgen|uebermorgen|morgen|montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonnabend|sonntag)(?![\\p{L}])";
+const RELATIVE_RE = new RegExp(
+  `(?<![\\p{L}])(?<!guten\\s)${RELATIVE_WORD}`,
+  "iu"
+);
+// body text: only "am Montag …" or a line starting with the word ("2) Morgen, …")
+const ANCHORED_RELATIVE_RE = new RegExp(
+  `(?:^(?:\\d+[.)]\\s*|[-*•]\\s*)?|\\bam\\s+)${RELATIVE_WORD}`,
+  "iu"
+);
+
+/**
+ * Resolve German relative day words against the mail's received time.
+ * "heute" / "morgen" / "übermorgen" / weekday names (next occurrence,
+ * today included) → "DD.MM.YYYY", or null when none is present.
+ * anchored: ignore words in running text ("Unser Büro ist Montag … erreichbar")
+ */
+function resolveRelativeDate(
+  text,
+  referenceDate = new Date(),
+  { anchored = false } = {}
+) {
+  const re = anchored ? ANCHORED_RELATIVE_RE : RELATIVE_RE;
+  const m = String(text || "").match(re);
+  if (!m) return null;
+
+  const word = m[1].toLowerCase();
+  const today = berlinParts(referenceDate);
+
+  if (word === "heute") return formatDate(today);
+  if (word === "morgen") return formatDate(addDays(today, 1));
+  if (word === "übermorgen" || word === "uebermorgen") {
+    return formatDate(addDays(today, 2));
+  }
+
+  if (!(word in WEEKDAYS)) return null;
+  const ahead = (WEEKDAYS[word] - today.weekday + 7) % 7;
+  return formatDate(addDays(today, ahead));
+}
+
+module.exports = {
+  TIME_ZONE,
+  berlinParts,
+  addDays,
+  formatDate,
+  parseDate,
+  daysBetween,
+  inferYear,
+  isPastDate,
+  isPastJob,
+  resolveRelativeDate,
+};
@@ -0,0 +1,68 @@
+// dead-letters.js - Persistent list of mails whose processing kept throwing
+// Unlike the quarantine (parser could not read it) these crashed the handler;
+// retrying puts the UID back into its mailbox's pending list.
+
+const { JsonStore } = require("./json-store");
+
+const MAX_ENTRIES = 500;
+
+class DeadLetterStore {
+  constructor(fileName = "dead-letters.json") {
+    this.store = new JsonStore(fileName, { entries: [] });
+    this.entries = this.store.load().entries || [];
+  }
+
+  /**
+   * @param {Object} entry - { account, mailbox, uid, attempts, lastError, firstFailedAt }
+   * @returns {Object} the stored entry (with id + deadLetteredAt)
+   */
+  add(entry) {
+    const stored = {
+      id: `${Date.now().toString(36)}-${entry.uid}`,
+      deadLetteredAt: new Date().toISOString(),
+      account: entry.account,
+      mailbox: entry.mailbox,
+      uid: entry.uid,
+      attempts: entry.attempts || 0,
+      firstFailedAt: entry.firstFailedAt || null,
+      lastError: entry.lastError || null,
+    };
+
+    this.entries.push(stored);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries = this.entries.slice(-MAX_ENTRIES);
+    }
+    this._persist();
+    return stored;
+  }
+
+  list() {
+    return this.entries.slice();
+  }
+
+  get(id) {
+    return this.entries.find((e) => e.id === id) || null;
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter((e) => e.id !== id);
+    if (this.entries.length === before) return false;
+    this._persist();
+    return true;
+  }
+
+  size() {
+    return this.entries.length;
+  }
+
+  _persist() {
+    try {
+      this.store.save({ entries: this.entries });
+    } catch (err) {
+      console.error("❌ Failed to persist dead letters:", err.message);
+    }
+  }
+}
+
+module.exports = { DeadLetterStore };
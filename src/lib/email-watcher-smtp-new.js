@@ -3,48 +3,17 @@
 const nodemailer = require("nodemailer");
 const Imap = require("imap");
 
-// Minimal RFC-2047 decoder for Q/B encoded words in Subject
-const iconv = require("iconv-lite");
+const { parseHeaders, getHeader, parseMessage } = require("./mime");
+const { JobMailSource, cleanSubject } = require("./job-mail-source");
+const { loadMailConfig, validateMailConfig } = require("./mail-config");
+const { OAuthTokenProvider } = require("./mail-oauth");
 
-// RFC-2047 decoder with proper charset handling (UTF-8, ISO-8859-1, etc.)
-function decodeRfc2047(subject) {
-  if (!subject) return "";
+// grows with every new mail; servers without UIDNEXT fall back to EXISTS
+const boxSize = (box) => box.uidnext || box.messages.total;
 
-  return subject.replace(
-    /=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g,
-    (_, charset, enc, data) => {
-      try {
-        const cs = String(charset || "").toLowerCase();
-
-        if (enc.toLowerCase() === "b") {
-          // Base64 → bytes → decode with charset
-          const buf = Buffer.from(data, "base64");
-          return iconv.decode(buf, cs);
-        } else {
-          // Q-encoding: underscores => spaces, =HH hex → bytes
-          let bytes = data
-            .replace(/_/g, " ")
-            .replace(/=([0-9A-Fa-f]{2})/g, (_, h) =>
-              String.fromCharCode(parseInt(h, 16))
-            );
-          // bytes (latin1) → decode with charset
-          const buf = Buffer.from(bytes, "latin1");
-          return iconv.decode(buf, cs);
-        }
-      } catch {
-        // If decoding fails, return raw chunk
-        return data;
-      }
-    }
-  );
-}
-
-// helper: zero-pad DD/MM/HH
-const z2 = (n) => String(n).padStart(2, "0");
-
-class EmailWatcher {
-  constructor() {
-    this.transporter = null;
+class EmailWatcher extends JobMailSource {
+  constructor(options = {}) {
+    super(options);
     this.imapConnection = null;
 
     // state flags
@@ -52,40 +21,27 @@ class EmailWatcher {
     this.imapReady = false;
     this.connected = false;
 
-    this.jobHandler = null;
     this.reconnectTimer = null;
-    this.reconnectDelayMs = 5000;
-
-    // polling
-    this.pollingInterval = null;
-    this.pollingFrequency = 15000;
-    this.lastCheckTime = new Date();
 
     // Job tracking for simplified processing
     this.processedJobs = new Set();
-    this.emailRetryCount = new Map();
-
-    this.config = {
-      smtp: {
-        host: process.env.SMTP_HOST || "smtp.gmail.com",
-        port: parseInt(process.env.SMTP_PORT || "587", 10),
-        secure: process.env.EMAIL_SECURE === "true" || false,
-        auth: {
-          user: process.env.EMAIL_ADDRESS,
-          pass: process.env.EMAIL_PASSWORD,
-        },
-        tls: { rejectUnauthorized: false },
-      },
-      imap: {
-        user: process.env.EMAIL_ADDRESS,
-        password: process.env.EMAIL_PASSWORD,
-        host: "imap.gmail.com",
-        port: 993,
-        tls: true,
-        tlsOptions: { rejectUnauthorized: false },
-        keepalive: true,
-      },
-    };
+
+    // IMAP/SMTP endpoints, folders and TLS (see mail-config.js); checked in initialize()
+    this.config = loadMailConfig(options.env || process.env);
+    this.folders = this.config.folders;
+    this.knownMailboxes = new Set(); // sort targets already created
+    // node-imap emits "mail" when a SELECT reports more messages than the
+    // previous box had: our own folder switches must not trigger scans
+    this.switchingBox = false;
+    this.idleBoxSize = null; // UIDNEXT of the IDLE folder when last scanned
+    this.name = options.name || this.config.imap.user || "default";
+    this.address = this.config.smtp.auth.user;
+    this.senderAuth = this.config.senderAuth;
+    this.backlog = this.config.backlog;
+    // XOAUTH2 login (Gmail OAuth client configured) instead of the password
+    this.oauth = this.config.oauth
+      ? new OAuthTokenProvider(this.config.oauth)
+      : null;
   }
   // Details-only mode (no numeric IDs from body)
   async extractJobIdsFromEmail(/* uid */) {
@@ -103,10 +59,27 @@ class EmailWatcher {
       return;
     }
 
-    await this.openInbox();
+    for (const folder of this.folders) {
+      await this.checkFolder(folder, jobHandler);
+    }
+    // IDLE only reports new mail for the selected box: keep the first one open,
+    // and catch up on what arrived there while the others were selected
+    if (this.folders.length > 1) {
+      const box = await this.openMailbox(this.folders[0]);
+      if (boxSize(box) > this.idleBoxSize) {
+        this.requestScan("idle").catch((err) =>
+          console.error("IDLE handler error:", err)
+        );
+      }
+    }
+
+    this.lastCheckTime = new Date();
+  }
 
-    const searchCriteria = ["UNSEEN", ["FROM", "studenten-umzugshilfe.com"]];
-    const uids = await this.searchEmails(searchCriteria);
+  async checkFolder(folder, jobHandler) {
+    const box = await this.openMailbox(folder);
+    if (folder === this.folders[0]) this.idleBoxSize = boxSize(box);
+    const uids = await this.findNewUids(folder, box);
     if (!uids.length) {
       const now = new Date();
       console.log(
@@ -116,42 +89,92 @@ class EmailWatcher {
           .padStart(2, "0")}:${now
           .getSeconds()
           .toString()
-          .padStart(2, "0")} No new job emails found`
+          .padStart(2, "0")} No new job emails found in ${folder}`
       );
       return;
     }
 
-    console.log(`📧 Found ${uids.length} new job emails`);
+    console.log(`📧 Found ${uids.length} new job emails in ${folder}`);
+    await this.processBatch(folder, uids, jobHandler);
+  }
 
-    for (const uid of uids) {
-      try {
-        // Get decoded subject + INTERNALDATE
-        const { subject, internalDate } = await this.getSubjectAndDate(uid);
-        console.log(`📧 Subject: ${subject}`);
-
-        // Try job IDs first if you still support ID flow (optional)
-
-        const details = this.parseJobDetailsFromSubject(subject, internalDate);
-        if (details) {
-          console.log("➡️ Passing details to handler:", details);
-          await jobHandler(details); // ✅ single-argument: details object
-          await this.markAsRead(uid);
-        } else {
-          console.log("❌ Could not extract job details from subject");
-          console.log("🧵 Email subject:", subject);
-        }
-      } catch (err) {
-        console.error(`❌ Error processing email ${uid}:`, err);
+  // Move/copy a processed mail into its outcome folder (MAIL_SORT_MODE)
+  async sortMessage(uid, outcome) {
+    const { mode, folders } = this.config.sort;
+    const target = outcome && folders[outcome];
+    if (mode === "off" || !target) return;
+
+    await this.ensureMailbox(target);
+    await new Promise((resolve, reject) =>
+      this.imapConnection[mode](uid, target, (err) =>
+        err ? reject(err) : resolve()
+      )
+    );
+    console.log(
+      `🗂️ ${mode === "move" ? "Moved" : "Copied"} email ${uid} to ${target}`
+    );
+  }
+
+  async ensureMailbox(name) {
+    if (this.knownMailboxes.has(name)) return;
+    await new Promise((resolve, reject) =>
+      this.imapConnection.addBox(name, (err) =>
+        !err || /exists/i.test(err.message) ? resolve() : reject(err)
+      )
+    );
+    this.knownMailboxes.add(name);
+  }
+
+  // UIDs above the stored high-water mark (read or not) plus earlier failures
+  // whose retry is due.
+  // No usable mark yet (first run, UIDVALIDITY changed): unread mail, once.
+  async findNewUids(folder, box) {
+    const key = this.stateKey(folder);
+    const fromPlatform = ["FROM", "studenten-umzugshilfe.com"];
+    const state = this.mailboxState.get(key);
+
+    if (!state || state.uidValidity !== box.uidvalidity) {
+      if (state) {
+        console.warn(
+          `⚠️ UIDVALIDITY of ${key} changed, rescanning unread mail`
+        );
       }
+      const unseen = await this.searchEmails(["UNSEEN", fromPlatform]);
+      const highest = box.uidnext
+        ? box.uidnext - 1
+        : Math.max(0, ...(await this.searchEmails([["UID", "*"]])));
+      this.mailboxState.reset(key, box.uidvalidity, highest);
+      return unseen.sort((x, y) => x - y);
     }
 
-    this.lastCheckTime = new Date();
+    // "n:*" always matches the newest mail, even below n
+    const fresh = (
+      await this.searchEmails([["UID", `${state.lastUid + 1}:*`], fromPlatform])
+    ).filter((uid) => uid > state.lastUid);
+    const due = this.mailboxState.duePending(key);
+    return [...new Set([...due, ...fresh])].sort((x, y) => x - y);
+  }
+
+  async fetchMail(uid, folder) {
+    // Get decoded subject + INTERNALDATE
+    const { subject, internalDate, messageId, headers } =
+      await this.getSubjectAndDate(uid);
+    return {
+      id: uid,
+      mailbox: folder,
+      subject,
+      internalDate,
+      messageId,
+      headers,
+      getBody: () => this.getBodyText(uid),
+    };
   }
 
   async getSubjectAndDate(uid) {
     return new Promise((resolve, reject) => {
       const f = this.imapConnection.fetch(uid, {
-        bodies: "HEADER.FIELDS (SUBJECT)",
+        bodies:
+          "HEADER.FIELDS (SUBJECT MESSAGE-ID FROM DATE AUTHENTICATION-RESULTS)",
         struct: false,
       });
 
@@ -173,202 +196,39 @@ class EmailWatcher {
       f.once("end", () => {
         // Capture Subject plus any folded continuation lines up to next header
         const m = raw.match(/Subject:\s*([\s\S]*?)\r?\n(?=[A-Za-z-]+:|$)/i);
-        let subjRaw = m ? m[1] : "";
-        // Unfold: join CRLF + (space|tab) continuations
-        subjRaw = subjRaw.replace(/\r?\n[ \t]+/g, " ").trim();
-        let subject = decodeRfc2047(subjRaw).trim();
-        subject = subject.replace(/\bU\s+hr\b/gi, "Uhr"); // "U hr" → "Uhr"
-        // normalize spacing
-        subject = subject.replace(/\s+/g, " ").trim();
-
-        resolve({ subject, internalDate });
+        const subject = cleanSubject(m ? m[1] : "");
+
+        const headers = parseHeaders(raw);
+        const messageId = getHeader(headers, "message-id") || null;
+        resolve({ subject, internalDate, messageId, headers });
       });
     });
   }
 
-  // parseJobDetailsFromSubject(subject, internalDate = new Date()) {
-  //   if (!subject) return null;
-  //   const s = subject.replace(/\s+/g, " ").trim();
-
-  //   // Ignore non-job subjects quickly
-  //   if (/registrierung|registration|verify|bestätigen/i.test(s)) return null;
-
-  //   // --- DATE ---
-  //   // a) DD.MM.YYYY
-  //   let dateStr = null;
-  //   let m = s.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
-  //   if (m) {
-  //     const [, d, mo, y] = m;
-  //     dateStr = `${z2(d)}.${z2(mo)}.${y}`;
-  //   } else {
-  //     // b) DD.MM.  (no year) → use INTERNALDATE's year
-  //     m = s.match(/\b(\d{1,2})\.(\d{1,2})\.?\b/);
-  //     if (m) {
-  //       const [, d, mo] = m;
-  //       const y =
-  //         internalDate instanceof Date
-  //           ? internalDate.getFullYear()
-  //           : new Date().getFullYear();
-  //       dateStr = `${z2(d)}.${z2(mo)}.${y}`;
-  //     }
-  //   }
-  //   if (!dateStr) return null;
-
-  //   // --- TIME ---
-  //   // prefer H:MM or H.MM; else H (→ :00). "ab/um" and "Uhr" optional.
-  //   let hh = null,
-  //     mm = null;
-
-  //   // look for H:MM
-  //   let t = s.match(/\b(\d{1,2}):(\d{2})\b/);
-  //   if (t) {
-  //     hh = t[1];
-  //     mm = t[2];
-  //   }
-
-  //   // else look for H.MM (German style)
-  //   if (!hh) {
-  //     t = s.match(/\b(\d{1,2})\.(\d{2})\b/);
-  //     if (t) {
-  //       hh = t[1];
-  //       mm = t[2];
-  //     }
-  //   }
-
-  //   // else look for "H Uhr" or a lonely hour after ab/um
-  //   if (!hh) {
-  //     t = s.match(/(?:\b(?:ab|um)\s+)?\b(\d{1,2})\s*(?:Uhr\b)?/i);
-  //     if (t) {
-  //       hh = t[1];
-  //       mm = "00";
-  //     }
-  //   }
-
-  //   if (!hh) return null;
-  //   const timeStr = `${z2(hh)}:${mm || "00"}`;
-
-  //   // --- ZIP + CITY ---
-  //   // zip = 5 digits, city = the words after zip until end / "gesucht"
-  //   const loc = s.match(
-  //     /\b(\d{5})\s+([A-Za-zÄÖÜäöüß\-.'()\/\s]+?)(?:\s+gesucht\b|$)/
-  //   );
-  //   if (!loc) return null;
-  //   const zip = loc[1];
-  //   const city = loc[2].trim().replace(/\s+/g, " ");
-
-  //   return { date: dateStr, time: timeStr, zip, city };
-  // }
-
-  // SUBJECT → { date, time, zip, city }
-  parseJobDetailsFromSubject(subject, internalDate = new Date()) {
-    if (!subject) return null;
-
-    // Normalize
-    let s = subject.replace(/\s+/g, " ").trim();
-
-    // Ignore obvious non-job mails
-    if (/registrierung|registration|verify|best[äa]tig/i.test(s)) return null;
-
-    // remove "morgen," noise if present
-    s = s.replace(/\bmorgen,?\s*/i, "");
-
-    // --- DATE ---
-    let dateStr = null;
-    let m;
-
-    // With explicit year: DD.MM.YYYY
-    m = s.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
-    if (m) {
-      dateStr = `${z2(m[1])}.${z2(m[2])}.${m[3]}`;
-    } else {
-      // Without year: DD.MM.  → choose a year
-      m = s.match(/\b(\d{1,2})\.(\d{1,2})\.?\b/);
-      if (!m) return null;
-
-      // Prefer current year for missing-year subjects (more practical for live jobs)
-      // You can flip this to internalDate.getFullYear() if you prefer.
-      const y = new Date().getFullYear();
-      dateStr = `${z2(m[1])}.${z2(m[2])}.${y}`;
-    }
-
-    // --- TIME (anchor to "um" or "ab" to avoid catching "29.04") ---
-    let hh = null,
-      mm = null;
-
-    // um 12:30 / ab 12:30
-    m = s.match(/\b(?:um|ab)\s+(\d{1,2}):(\d{2})\b/i);
-    if (m) {
-      hh = m[1];
-      mm = m[2];
-    }
-
-    // um 9.30 / ab 9.30 (but not part of a date; disallow trailing dot)
-    if (!hh && (m = s.match(/\b(?:um|ab)\s+(\d{1,2})\.(\d{2})(?!\.)\b/i))) {
-      hh = m[1];
-      mm = m[2];
-    }
-
-    // um 9 / ab 9 [Uhr]
-    if (!hh && (m = s.match(/\b(?:um|ab)\s+(\d{1,2})(?:\s*Uhr)?\b/i))) {
-      hh = m[1];
-      mm = "00";
-    }
-
-    // Final fallbacks: standalone HH:MM or HH.MM that are NOT immediately after a digit+dot (date)
-    if (!hh && (m = s.match(/(^|[^0-9.])(\d{1,2}):(\d{2})\b/))) {
-      hh = m[2];
-      mm = m[3];
-    }
-    if (!hh && (m = s.match(/(^|[^0-9.])(\d{1,2})\.(\d{2})\b(?!\.)/))) {
-      hh = m[2];
-      mm = m[3];
-    }
-
-    if (!hh) return null;
-    const timeStr = `${z2(hh)}:${mm || "00"}`;
-
-    // --- ZIP + CITY (Unicode letters, parentheses allowed) ---
-    const loc = s.match(/\b(\d{5})\s+([\p{L}\-.'()\/\s]+?)(?:\s+gesucht\b|$)/u);
-    if (!loc) return null;
-
-    const zip = loc[1];
-    const city = loc[2].replace(/\s+/g, " ").trim();
-
-    return { date: dateStr, time: timeStr, zip, city };
-  }
-
-  // FIXED: Get ONLY the subject line for parsing
-  async getSubjectPlusBody(uid) {
+  // Fetch the full RFC 822 message and return its readable text
+  async getBodyText(uid) {
     return new Promise((resolve, reject) => {
-      const fetch = this.imapConnection.fetch(uid, {
-        bodies: ["HEADER.FIELDS (SUBJECT)"], // Only get subject
+      const f = this.imapConnection.fetch(uid, {
+        bodies: "",
+        struct: false,
         markSeen: false,
       });
 
-      let subject = "";
-
-      fetch.on("message", (msg) => {
-        msg.on("body", (stream, info) => {
-          let chunk = "";
-          stream.on("data", (data) => {
-            chunk += data.toString("utf8");
-          });
-
-          stream.once("end", () => {
-            if (info.which === "HEADER.FIELDS (SUBJECT)") {
-              const subjectMatch = chunk.match(/Subject:\s*(.+?)(?:\r?\n|$)/i);
-              if (subjectMatch) {
-                subject = subjectMatch[1].trim();
-              }
-            }
-          });
+      const chunks = [];
+
+      f.on("message", (msg) => {
+        msg.on("body", (stream) => {
+          stream.on("data", (d) => chunks.push(d));
         });
       });
 
-      fetch.once("error", reject);
-      fetch.once("end", () => {
-        console.log(`📄 Extracted subject: ${subject}`);
-        resolve(subject); // Return ONLY the subject line
+      f.once("error", reject);
+      f.once("end", () => {
+        try {
+          resolve(parseMessage(Buffer.concat(chunks)).bodyText);
+        } catch (err) {
+          reject(err);
+        }
       });
     });
   }
@@ -386,17 +246,26 @@ class EmailWatcher {
     }
   }
 
-  getEmailRetryCount(uid) {
-    return this.emailRetryCount.get(uid) || 0;
+  validateConfig() {
+    validateMailConfig(this.config);
   }
 
-  incrementEmailRetryCount(uid) {
-    const current = this.getEmailRetryCount(uid);
-    this.emailRetryCount.set(uid, current + 1);
+  // IMAP errors schedule their own reconnect; a failed SMTP check does not
+  reconnectsItself() {
+    return !!this.imapConnection;
+  }
+
+  // node-imap options for a new connection; OAuth tokens expire, so mint one each time
+  async imapOptions(extra = {}) {
+    const options = { ...this.config.imap, ...extra };
+    if (this.oauth) {
+      options.xoauth2 = await this.oauth.imapXoauth2(this.config.imap.user);
+    }
+    return options;
   }
 
-  clearEmailRetryCount(uid) {
-    this.emailRetryCount.delete(uid);
+  transportInfo() {
+    return `SMTP Host: ${this.config.smtp.host}\nSMTP Port: ${this.config.smtp.port}\n`;
   }
 
   // Core IMAP and SMTP methods from original code
@@ -407,39 +276,17 @@ class EmailWatcher {
       this.jobHandler = jobHandler;
     }
 
-    if (!this.config.smtp.auth.user || !this.config.smtp.auth.pass) {
-      throw new Error("EMAIL_ADDRESS and EMAIL_PASSWORD must be configured");
-    }
+    // Fail fast with every problem listed instead of a later connect error
+    validateMailConfig(this.config);
+    console.log(
+      `📧 Mail provider: ${this.config.provider} (IMAP ${
+        this.config.imap.host
+      }:${this.config.imap.port}, folders: ${this.folders.join(", ")})`
+    );
+    console.log(`🔐 Mail login: ${this.config.login}`);
 
-    // SMTP setup
-    const smtpConfigs = [
-      {
-        name: "Gmail TLS (587)",
-        config: {
-          host: "smtp.gmail.com",
-          port: 587,
-          secure: false,
-          auth: this.config.smtp.auth,
-          tls: { rejectUnauthorized: false },
-          connectionTimeout: 10000,
-          greetingTimeout: 5000,
-          socketTimeout: 10000,
-        },
-      },
-      {
-        name: "Gmail SSL (465)",
-        config: {
-          host: "smtp.gmail.com",
-          port: 465,
-          secure: true,
-          auth: this.config.smtp.auth,
-          tls: { rejectUnauthorized: false },
-          connectionTimeout: 10000,
-          greetingTimeout: 5000,
-          socketTimeout: 10000,
-        },
-      },
-    ];
+    // SMTP setup: configured endpoint first, then the provider's alternatives
+    const smtpConfigs = this.config.smtpFallbacks;
 
     let lastError;
     for (const { name, config } of smtpConfigs) {
@@ -469,11 +316,11 @@ class EmailWatcher {
 
     // IMAP setup
     console.log("📬 Initializing IMAP...");
-    this.imapConnection = new Imap(this.config.imap);
+    this.imapConnection = new Imap(await this.imapOptions());
     this.setupImapHandlers();
 
     await this.connectImap();
-    await this.openInbox();
+    await this.openMailbox(this.folders[0]);
 
     this.imapReady = true;
     this.connected = true;
@@ -487,6 +334,7 @@ class EmailWatcher {
     );
     this.imapConnection.on("error", (err) => {
       console.error("❌ IMAP connection error:", err);
+      this.lastError = err.message;
       this.scheduleReconnect("error");
     });
     this.imapConnection.on("end", () => {
@@ -496,19 +344,11 @@ class EmailWatcher {
   }
 
   attachPush() {
-    let busy = false;
     this.imapConnection.on("mail", () => {
-      if (busy) return;
-      busy = true;
-
-      if (this.jobHandler) {
-        this.checkForNewEmails(this.jobHandler)
-          .catch((err) => console.error("IDLE handler error:", err))
-          .finally(() => (busy = false));
-      } else {
-        console.warn("⚠️ No jobHandler available for IMAP push notification");
-        busy = false;
-      }
+      if (this.switchingBox) return;
+      this.requestScan("idle").catch((err) =>
+        console.error("IDLE handler error:", err)
+      );
     });
   }
 
@@ -536,13 +376,14 @@ class EmailWatcher {
 
   async _reconnectImap() {
     try {
-      this.imapConnection = new Imap({
-        ...this.config.imap,
-        keepalive: { interval: 30000, idleInterval: 300000, forceNoop: true },
-      });
+      this.imapConnection = new Imap(
+        await this.imapOptions({
+          keepalive: { interval: 30000, idleInterval: 300000, forceNoop: true },
+        })
+      );
       this.setupImapHandlers();
       await this.connectImap();
-      await this.openInbox();
+      await this.openMailbox(this.folders[0]);
       this.attachPush();
 
       this.imapReady = true;
@@ -551,6 +392,7 @@ class EmailWatcher {
       console.log("✅ IMAP reconnected");
     } catch (e) {
       console.error("❌ Reconnect failed:", e.message);
+      this.lastError = e.message;
       this.scheduleReconnect("retry");
     }
   }
@@ -575,12 +417,14 @@ class EmailWatcher {
     });
   }
 
-  async openInbox() {
+  async openMailbox(folder = "INBOX") {
     if (!this.imapConnection) throw new Error("IMAP not initialized");
+    this.switchingBox = true;
     return new Promise((resolve, reject) => {
-      this.imapConnection.openBox("INBOX", false, (err, box) =>
-        err ? reject(err) : resolve(box)
-      );
+      this.imapConnection.openBox(folder, false, (err, box) => {
+        this.switchingBox = false;
+        return err ? reject(err) : resolve(box);
+      });
     });
   }
 
@@ -601,95 +445,8 @@ class EmailWatcher {
     });
   }
 
-  async startPolling(jobHandler) {
-    console.log(`🔍 Starting email polling every ${this.pollingFrequency}ms`);
-
-    if (jobHandler && !this.jobHandler) {
-      this.jobHandler = jobHandler;
-    }
-
-    if (this.pollingInterval) clearInterval(this.pollingInterval);
-    this.pollingInterval = setInterval(() => {
-      if (this.jobHandler) {
-        this.checkForNewEmails(this.jobHandler).catch((err) =>
-          console.error("❌ Error during email polling:", err)
-        );
-      }
-    }, this.pollingFrequency);
-
-    if (this.jobHandler) {
-      await this.checkForNewEmails(this.jobHandler);
-    }
-  }
-
-  async sendSuccessNotification(successfulJobs, responseTime) {
-    if (!this.transporter) return;
-    try {
-      await this.transporter.sendMail({
-        from: this.config.smtp.auth.user,
-        to: this.config.smtp.auth.user,
-        subject: `✅ Job Applications Successful - ${successfulJobs.length} jobs`,
-        text: `Success! Applied to ${
-          successfulJobs.length
-        } jobs in ${responseTime}ms.
-
-Job IDs: ${successfulJobs.join(", ")}
-Response time: ${responseTime}ms
-Timestamp: ${new Date().toISOString()}
-`,
-      });
-      console.log("✅ Success notification sent");
-    } catch (e) {
-      console.error("❌ Failed to send success notification:", e);
-    }
-  }
-
-  async sendErrorNotification(error, jobIds) {
-    if (!this.transporter) return;
-    try {
-      await this.transporter.sendMail({
-        from: this.config.smtp.auth.user,
-        to: this.config.smtp.auth.user,
-        subject: `❌ Job Application Error - ${jobIds.length} jobs failed`,
-        text: `Error occurred while processing jobs:
-
-Job IDs: ${jobIds.join(", ")}
-Error: ${error.message}
-Stack: ${error.stack}
-
-Timestamp: ${new Date().toISOString()}
-`,
-      });
-      console.log("📧 Error notification sent");
-    } catch (e) {
-      console.error("❌ Failed to send error notification:", e);
-    }
-  }
-
-  async sendTestEmail() {
-    if (!this.transporter) throw new Error("SMTP transporter not initialized");
-    await this.transporter.sendMail({
-      from: this.config.smtp.auth.user,
-      to: this.config.smtp.auth.user,
-      subject: "🧪 Test Email - Umzugshilfe Bot",
-      text: `This is a test email from your Umzugshilfe job application bot.
-
-SMTP Host: ${this.config.smtp.host}
-SMTP Port: ${this.config.smtp.port}
-Email: ${this.config.smtp.auth.user}
-
-Timestamp: ${new Date().toISOString()}
-`,
-    });
-    console.log("📧 Test email sent successfully");
-  }
-
   stop() {
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval);
-      this.pollingInterval = null;
-      console.log("⏹️ Email polling stopped");
-    }
+    this.stopPolling();
     if (this.imapConnection) {
       this.imapConnection.end();
       console.log("📭 IMAP connection closed");
@@ -701,6 +458,29 @@ Timestamp: ${new Date().toISOString()}
   isConnected() {
     return this.imapReady && this.connected;
   }
+
+  // one entry of /health's mailboxes list
+  status() {
+    return {
+      name: this.name,
+      host: `${this.config.imap.host}:${this.config.imap.port}`,
+      source: "imap",
+      auth: this.config.login,
+      folders: this.folders,
+      connected: this.isConnected(),
+      reconnecting: !!this.reconnectTimer,
+      reconnectDelayMs: this.reconnectDelayMs,
+      lastCheckTime: this.lastCheckTime,
+      scans: { ...this.scheduler.stats, running: this.scheduler.isRunning() },
+      lastUids: Object.fromEntries(
+        this.folders.map((f) => {
+          const state = this.mailboxState.get(this.stateKey(f));
+          return [f, state ? state.lastUid : null];
+        })
+      ),
+      lastError: this.lastError,
+    };
+  }
 }
 
 module.exports = { EmailWatcher };
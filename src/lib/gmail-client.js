@@ -0,0 +1,156 @@
+// gmail-client.js - The one Gmail API wrapper (OAuth2 refresh token)
+//
+// Used by the Gmail mail source and the Lambda watcher (src/handlers/gmail.js);
+// both only see these calls, never the raw googleapis client.
+
+const { google } = require("googleapis");
+
+// API errors carry the HTTP status in different places depending on the path
+const httpStatus = (err) =>
+  (err.response && err.response.status) || err.status || err.code;
+
+class GmailClient {
+  /**
+   * @param {{ clientId: string, clientSecret: string, refreshToken: string }} credentials
+   */
+  constructor({ clientId, clientSecret, refreshToken } = {}) {
+    this.credentials = { clientId, clientSecret, refreshToken };
+    this.gmail = null;
+    this.oauth2Client = null;
+    this.labelIds = new Map(); // label name → id (system labels: name = id)
+  }
+
+  async initialize() {
+    console.log("📧 Initializing Gmail API...");
+
+    this.oauth2Client = new google.auth.OAuth2(
+      this.credentials.clientId,
+      this.credentials.clientSecret
+    );
+    this.oauth2Client.setCredentials({
+      refresh_token: this.credentials.refreshToken,
+    });
+
+    this.gmail = google.gmail({ version: "v1", auth: this.oauth2Client });
+    console.log("✅ Gmail API initialized");
+  }
+
+  // → { emailAddress, historyId, ... }; also proves the refresh token works
+  async getProfile() {
+    const { data } = await this.gmail.users.getProfile({ userId: "me" });
+    return data;
+  }
+
+  // → ids of every message matching q (all pages unless maxResults is given)
+  async listMessageIds({ q, labelIds, maxResults } = {}) {
+    const ids = [];
+    let pageToken;
+    do {
+      const { data } = await this.gmail.users.messages.list({
+        userId: "me",
+        q,
+        labelIds,
+        maxResults,
+        pageToken,
+      });
+      (data.messages || []).forEach((m) => ids.push(m.id));
+      pageToken = maxResults ? null : data.nextPageToken;
+    } while (pageToken);
+    return ids;
+  }
+
+  // → { ids: messages added since startHistoryId, historyId: new cursor };
+  // labelIds limits ids to messages carrying one of them
+  async listAddedMessages(startHistoryId, labelIds = null) {
+    const ids = [];
+    let historyId = startHistoryId;
+    let pageToken;
+    do {
+      const { data } = await this.gmail.users.history.list({
+        userId: "me",
+        startHistoryId,
+        historyTypes: ["messageAdded"],
+        pageToken,
+      });
+      for (const entry of data.history || []) {
+        for (const { message } of entry.messagesAdded || []) {
+          const labels = message.labelIds || [];
+          if (!labelIds || labels.some((l) => labelIds.includes(l))) {
+            ids.push(message.id);
+          }
+        }
+      }
+      historyId = data.historyId || historyId;
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+    return { ids, historyId };
+  }
+
+  // format: "full" | "metadata" (with metadataHeaders) | "raw"
+  async getMessage(id, { format = "full", metadataHeaders } = {}) {
+    const { data } = await this.gmail.users.messages.get({
+      userId: "me",
+      id,
+      format,
+      metadataHeaders,
+    });
+    return data;
+  }
+
+  // the full RFC 822 message as a Buffer
+  async getRawMessage(id) {
+    const { raw } = await this.getMessage(id, { format: "raw" });
+    return Buffer.from(raw, "base64url");
+  }
+
+  async modifyLabels(id, { add = [], remove = [] } = {}) {
+    await this.gmail.users.messages.modify({
+      userId: "me",
+      id,
+      requestBody: { addLabelIds: add, removeLabelIds: remove },
+    });
+  }
+
+  async markAsRead(id) {
+    await this.modifyLabels(id, { remove: ["UNREAD"] });
+  }
+
+  async loadLabels() {
+    const { data } = await this.gmail.users.labels.list({ userId: "me" });
+    this.labelIds = new Map((data.labels || []).map((l) => [l.name, l.id]));
+  }
+
+  labelId(name) {
+    return this.labelIds.get(name) || name;
+  }
+
+  // → id of the user label, created on first use
+  async ensureLabel(name) {
+    if (this.labelIds.has(name)) return this.labelIds.get(name);
+    try {
+      const { data } = await this.gmail.users.labels.create({
+        userId: "me",
+        requestBody: {
+          name,
+          labelListVisibility: "labelShow",
+          messageListVisibility: "show",
+        },
+      });
+      this.labelIds.set(name, data.id);
+    } catch (err) {
+      if (httpStatus(err) !== 409) throw err;
+      await this.loadLabels(); // created elsewhere in the meantime
+    }
+    return this.labelId(name);
+  }
+
+  // raw: a complete RFC 822 message (Buffer)
+  async send(raw) {
+    await this.gmail.users.messages.send({
+      userId: "me",
+      requestBody: { raw: raw.toString("base64url") },
+    });
+  }
+}
+
+module.exports = { GmailClient, httpStatus };
@@ -0,0 +1,272 @@
+// gmail-source.js - Job mails via the Gmail API (OAuth2 refresh token, no app password)
+//
+// Incremental sync: the stored historyId is the cursor, history.list returns the
+// messages added since. First run or an expired historyId: unread mail, once.
+// The refresh token needs the https://www.googleapis.com/auth/gmail.modify scope
+// (read, mark read, labels and sending the notifications).
+
+const nodemailer = require("nodemailer");
+
+const { GmailClient, httpStatus } = require("./gmail-client");
+const { parseMessage, getHeader } = require("./mime");
+const { JobMailSource, cleanSubject } = require("./job-mail-source");
+const {
+  loadSortConfig,
+  sortConfigErrors,
+  senderAuthErrors,
+  backlogPolicyErrors,
+} = require("./mail-config");
+
+class GmailSource extends JobMailSource {
+  constructor(options = {}) {
+    super(options);
+    const env = options.env || process.env;
+
+    this.credentials = {
+      clientId: env.GMAIL_CLIENT_ID,
+      clientSecret: env.GMAIL_CLIENT_SECRET,
+      refreshToken: env.GMAIL_REFRESH_TOKEN,
+    };
+    this.sender = env.GMAIL_TARGET_SENDER || "studenten-umzugshilfe.com";
+    this.labels = String(env.GMAIL_WATCH_LABELS || "INBOX")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    this.sort = loadSortConfig(env);
+    this.address = env.EMAIL_ADDRESS || null;
+    this.name = options.name || this.address || "gmail";
+
+    this.client = new GmailClient(this.credentials);
+    this.connected = false;
+    // only used to build raw RFC 822 notifications for users.messages.send
+    this.composer = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+  }
+
+  get key() {
+    return this.stateKey("gmail");
+  }
+
+  validateConfig() {
+    const errors = [];
+    const { clientId, clientSecret, refreshToken } = this.credentials;
+    if (!clientId || !clientSecret || !refreshToken) {
+      errors.push(
+        "GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET and GMAIL_REFRESH_TOKEN must be configured"
+      );
+    }
+    if (!this.labels.length) errors.push("GMAIL_WATCH_LABELS is empty");
+    errors.push(...sortConfigErrors(this.sort, this.labels));
+    errors.push(...senderAuthErrors(this.senderAuth));
+    errors.push(...backlogPolicyErrors(this.backlog));
+
+    if (errors.length) {
+      throw new Error(
+        `Invalid Gmail configuration:\n - ${errors.join("\n - ")}`
+      );
+    }
+  }
+
+  async initialize(jobHandler = null) {
+    console.log("📧 Initializing Gmail API source...");
+    if (jobHandler) this.jobHandler = jobHandler;
+    this.validateConfig();
+
+    await this.client.initialize();
+    // also proves the refresh token works
+    const profile = await this.client.getProfile();
+    this.address = this.address || profile.emailAddress;
+    await this.client.loadLabels();
+
+    this.transporter = { sendMail: (mail) => this.sendMail(mail) };
+    this.connected = true;
+    console.log(
+      `✅ Gmail API source initialized (${
+        profile.emailAddress
+      }, labels: ${this.labels.join(", ")})`
+    );
+  }
+
+  async checkForNewEmails(jobHandler) {
+    if (!this.connected) {
+      console.log("⚠️ Gmail API not initialized, skipping email check");
+      return;
+    }
+
+    let ids;
+    try {
+      ids = await this.findNewMessageIds();
+    } catch (err) {
+      this.lastError = err.message;
+      throw err;
+    }
+
+    if (!ids.length) {
+      console.log(
+        `🔭 ${new Date().toLocaleTimeString(
+          "de-DE"
+        )} No new job emails found in Gmail`
+      );
+    } else {
+      console.log(`📧 Found ${ids.length} new emails in Gmail`);
+    }
+
+    await this.processBatch("gmail", ids, jobHandler);
+
+    this.lastCheckTime = new Date();
+  }
+
+  // Messages added since the stored historyId plus earlier failures that are
+  // due. New ones go into pending before processing, so a crash loses nothing.
+  async findNewMessageIds() {
+    const state = this.mailboxState.get(this.key);
+    if (!state || !state.historyId) return this.fullSync([]);
+
+    let history;
+    try {
+      history = await this.client.listAddedMessages(
+        state.historyId,
+        this.labels.map((l) => this.client.labelId(l))
+      );
+    } catch (err) {
+      if (httpStatus(err) !== 404) throw err;
+      console.warn(
+        `⚠️ Gmail history of ${this.key} expired, rescanning unread mail`
+      );
+      return this.fullSync(state.pending);
+    }
+
+    const due = this.mailboxState.duePending(this.key);
+    this.mailboxState.update(this.key, {
+      historyId: history.historyId,
+      pending: [...new Set([...state.pending, ...history.ids])],
+    });
+    return [...new Set([...due, ...history.ids])];
+  }
+
+  // Unread platform mail in the watched labels; the cursor is taken first
+  async fullSync(pending) {
+    const profile = await this.client.getProfile();
+
+    const ids = new Set();
+    for (const label of this.labels) {
+      const found = await this.client.listMessageIds({
+        q: `from:${this.sender} is:unread`,
+        labelIds: [this.client.labelId(label)],
+      });
+      found.forEach((id) => ids.add(id));
+    }
+
+    const due = this.mailboxState.duePending(this.key);
+    this.mailboxState.update(this.key, {
+      historyId: profile.historyId,
+      pending: [...new Set([...pending, ...ids])],
+    });
+    return [...new Set([...due, ...ids])];
+  }
+
+  // → handleMail()'s mail object, null if deleted or not from the platform
+  async fetchMail(id) {
+    let message;
+    try {
+      message = await this.client.getMessage(id, {
+        format: "metadata",
+        metadataHeaders: [
+          "From",
+          "Subject",
+          "Message-ID",
+          "Date",
+          "Authentication-Results",
+        ],
+      });
+    } catch (err) {
+      if (httpStatus(err) === 404) return null; // deleted since it was listed
+      throw err;
+    }
+
+    // same shape as parseHeaders(): lowercase name → values, topmost first
+    const headers = {};
+    for (const { name, value } of message.payload.headers || []) {
+      (headers[name.toLowerCase()] = headers[name.toLowerCase()] || []).push(
+        value
+      );
+    }
+    const header = (name) => getHeader(headers, name);
+    if (!header("From").toLowerCase().includes(this.sender.toLowerCase())) {
+      return null;
+    }
+
+    return {
+      id,
+      mailbox: "gmail",
+      subject: cleanSubject(header("Subject")),
+      internalDate: new Date(Number(message.internalDate)),
+      messageId: header("Message-ID") || null,
+      headers,
+      getBody: () => this.getBodyText(id),
+    };
+  }
+
+  async getBodyText(id) {
+    return parseMessage(await this.client.getRawMessage(id)).bodyText;
+  }
+
+  async markAsRead(id) {
+    await this.client.markAsRead(id);
+  }
+
+  // MAIL_SORT_MODE for labels: copy = add the outcome label, move = also
+  // take the watched labels off
+  async sortMessage(id, outcome) {
+    const { mode, folders } = this.sort;
+    const target = outcome && folders[outcome];
+    if (mode === "off" || !target) return;
+
+    const labelId = await this.client.ensureLabel(target);
+    await this.client.modifyLabels(id, {
+      add: [labelId],
+      remove:
+        mode === "move" ? this.labels.map((l) => this.client.labelId(l)) : [],
+    });
+    console.log(`🏷️ Labelled email ${id} as ${target}`);
+  }
+
+  async sendMail(mail) {
+    const { message } = await this.composer.sendMail(mail);
+    await this.client.send(message);
+  }
+
+  transportInfo() {
+    return "Transport: Gmail API\n";
+  }
+
+  stop() {
+    this.stopPolling();
+    this.connected = false;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // one entry of /health's mailboxes list
+  status() {
+    const state = this.mailboxState.get(this.key);
+    return {
+      name: this.name,
+      source: "gmail",
+      folders: this.labels,
+      connected: this.isConnected(),
+      reconnecting: false,
+      reconnectDelayMs: this.reconnectDelayMs,
+      lastCheckTime: this.lastCheckTime,
+      scans: { ...this.scheduler.stats, running: this.scheduler.isRunning() },
+      historyId: state ? state.historyId : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { GmailSource };
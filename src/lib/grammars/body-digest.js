@@ -0,0 +1,60 @@
+// grammars/body-digest.js - Digest mails listing several open jobs
+// "1) Am 12.09.2025 um 8 Uhr in 50667 Köln #48001"
+// "2) Am 13.09.2025 ab 10:30 Uhr in 40213 Düsseldorf #48002"
+
+const { extractJobFields, isCompleteDetails, toLines } = require("./helpers");
+const { jobKeyOf } = require("../job-record");
+
+module.exports = {
+  name: "body-digest",
+  confidence: 0.85,
+  source: "body",
+
+  match({ body }) {
+    return (String(body).match(/\b\d{5}\b/g) || []).length >= 2;
+  },
+
+  // Returns every job found, or null when the body holds fewer than two
+  extract({ body, internalDate }) {
+    const lines = toLines(body);
+    const jobs = [];
+    const seen = new Set();
+
+    for (let i = 0; i < lines.length; i++) {
+      let fields = extractJobFields(lines[i], internalDate, { anchored: true });
+      if (!isCompleteDetails(fields) && lines[i + 1]) {
+        fields = extractJobFields(`${lines[i]} ${lines[i + 1]}`, internalDate, {
+          anchored: true,
+        });
+        if (isCompleteDetails(fields)) i++; // consumed the next line too
+      }
+      if (!isCompleteDetails(fields)) continue;
+
+      const key = jobKeyOf(fields);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      jobs.push(fields);
+    }
+
+    return jobs.length >= 2 ? jobs : null;
+  },
+
+  samples: [
+    {
+      subject: "3 neue Jobs in deiner Nähe",
+      internalDate: "2025-09-10T08:00:00Z",
+      body: [
+        "Hallo, folgende Jobs sind noch offen:",
+        "1) Am 12.09.2025 um 8 Uhr in 50667 Köln #48001",
+        "2) Am 13.09.2025 ab 10:30 Uhr in 40213 Düsseldorf #48002",
+        "3) Am 14.09.2025 um 9 Uhr",
+        "   in 45127 Essen, 4 Umzugshelfer",
+      ].join("\n"),
+      expected: [
+        { date: "12.09.2025", time: "08:00", zip: "50667", jobNumber: "48001" },
+        { date: "13.09.2025", time: "10:30", zip: "40213", city: "Düsseldorf" },
+        { date: "14.09.2025", time: "09:00", zip: "45127", helpersNeeded: 4 },
+      ],
+    },
+  ],
+};
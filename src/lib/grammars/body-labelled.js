@@ -0,0 +1,50 @@
+// grammars/body-labelled.js - "Datum: …" / "Uhrzeit: …" / "Ort: …" body layout
+
+const { extractJobFields, toLines } = require("./helpers");
+
+const LABELS = {
+  date: /^(?:datum|termin|wann)\s*:\s*/i,
+  time: /^(?:uhrzeit|beginn|zeit|start)\s*:\s*/i,
+  place: /^(?:ort|adresse|einsatzort|plz(?:\s*\/\s*ort)?)\s*:\s*/i,
+};
+
+module.exports = {
+  name: "body-labelled",
+  confidence: 0.8,
+  source: "body",
+
+  match({ body }) {
+    return toLines(body).some((l) => LABELS.place.test(l));
+  },
+
+  extract({ body, internalDate }) {
+    const lines = toLines(body);
+    const labelled = (re) => {
+      const line = lines.find((l) => re.test(l));
+      return line ? line.replace(re, "").trim() : "";
+    };
+    return extractJobFields(
+      [
+        labelled(LABELS.date),
+        labelled(LABELS.time).replace(/^(\d)/, "um $1"),
+        labelled(LABELS.place),
+      ].join(" "),
+      internalDate,
+      { anchored: true }
+    );
+  },
+
+  samples: [
+    {
+      subject: "Neuer Auftrag",
+      internalDate: "2025-08-30T08:00:00Z",
+      body: "Datum: 01.09.2025\nUhrzeit: 9\nOrt: 80331 München",
+      expected: {
+        date: "01.09.2025",
+        time: "09:00",
+        zip: "80331",
+        city: "München",
+      },
+    },
+  ],
+};
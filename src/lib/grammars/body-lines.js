@@ -0,0 +1,64 @@
+// grammars/body-lines.js - Job facts on one or two adjacent body lines
+// "Am 23.08.2025 um 15:00 Uhr in 50667 Köln, Domstraße 1"
+// Attributes (job number, rate, ...) are picked up from the whole body.
+
+const {
+  extractJobFields,
+  isCompleteDetails,
+  mergeDetails,
+  toLines,
+} = require("./helpers");
+const { extractJobAttributes } = require("../job-record");
+
+module.exports = {
+  name: "body-lines",
+  confidence: 0.85,
+  source: "body",
+
+  match({ body }) {
+    return /\b\d{5}\b/.test(body);
+  },
+
+  extract({ body, internalDate }) {
+    const lines = toLines(body);
+    for (let i = 0; i < lines.length; i++) {
+      for (const window of [lines[i], `${lines[i]} ${lines[i + 1] || ""}`]) {
+        const fields = extractJobFields(window, internalDate, {
+          anchored: true,
+        });
+        if (isCompleteDetails(fields)) {
+          return mergeDetails(fields, extractJobAttributes(body));
+        }
+      }
+    }
+    return null;
+  },
+
+  samples: [
+    {
+      subject: "Neuer Job für dich",
+      internalDate: "2025-08-20T08:00:00Z",
+      body: "Hallo,\nAm 23.08.2025 um 15:00 Uhr in 50667 Köln, Domstraße 1\nJob #48213 · Stundenlohn: 14,50 €\nViele Grüße",
+      expected: {
+        date: "23.08.2025",
+        time: "15:00",
+        zip: "50667",
+        city: "Köln",
+        jobNumber: "48213",
+        hourlyRate: 14.5,
+      },
+    },
+    {
+      // the footer's weekday is office hours, not a second job
+      subject: "Neuer Job für dich",
+      internalDate: "2025-08-22T10:00:00Z",
+      body: "Am Samstag um 10 Uhr in 06108 Halle (Saale)\nViele Grüße\nUnser Büro ist Montag von 9 bis 17 Uhr in 50667 Köln erreichbar.",
+      expected: {
+        date: "23.08.2025",
+        time: "10:00",
+        zip: "06108",
+        city: "Halle (Saale)",
+      },
+    },
+  ],
+};
@@ -0,0 +1,128 @@
+// grammars/generic-subject.js - Tolerant regex cascade for reworded subjects
+
+const { extractJobFields } = require("./helpers");
+
+module.exports = {
+  name: "generic-subject",
+  confidence: 0.9,
+  source: "subject",
+
+  match({ subject }) {
+    return /\d/.test(subject);
+  },
+
+  extract({ subject, internalDate }) {
+    return extractJobFields(subject, internalDate);
+  },
+
+  samples: [
+    {
+      subject: "Umzug am 14.09.2025 von 9 bis 13 Uhr in 45127 Essen gesucht",
+      internalDate: "2025-09-10T08:00:00Z",
+      expected: {
+        date: "14.09.2025",
+        time: "09:00",
+        endTime: "13:00",
+        durationHours: 4,
+        zip: "45127",
+        city: "Essen",
+      },
+    },
+    {
+      // no year: received 30.12. → the job is in January of the next year
+      subject: "Job am 03.01. um 9 Uhr in 50667 Köln gesucht",
+      internalDate: "2025-12-30T09:00:00Z",
+      expected: {
+        date: "03.01.2026",
+        time: "09:00",
+        zip: "50667",
+        city: "Köln",
+      },
+    },
+    {
+      subject: "Morgen ab 8 Uhr in 50667 Köln",
+      internalDate: "2025-08-22T10:00:00Z",
+      expected: {
+        date: "23.08.2025",
+        time: "08:00",
+        zip: "50667",
+        city: "Köln",
+      },
+    },
+    {
+      // Thursday evening UTC is already Friday in Berlin
+      subject: "Samstag um 10.30 Uhr in 10115 Berlin",
+      internalDate: "2025-08-21T22:30:00Z",
+      expected: {
+        date: "23.08.2025",
+        time: "10:30",
+        zip: "10115",
+        city: "Berlin",
+      },
+    },
+    {
+      subject: "Heute um 14 Uhr in 04109 Leipzig gesucht",
+      internalDate: "2025-08-21T22:30:00Z",
+      expected: {
+        date: "22.08.2025",
+        time: "14:00",
+        zip: "04109",
+        city: "Leipzig",
+      },
+    },
+    {
+      subject: "Neuer Job: 12.10.2025 um 8.30 in 10115 Berlin",
+      internalDate: "2025-10-01T08:00:00Z",
+      expected: {
+        date: "12.10.2025",
+        time: "08:30",
+        zip: "10115",
+        city: "Berlin",
+      },
+    },
+    {
+      subject: "morgen, 01.11.2025 ab 7 Uhr in 80331 München gesucht",
+      internalDate: "2025-10-31T08:00:00Z",
+      expected: {
+        date: "01.11.2025",
+        time: "07:00",
+        zip: "80331",
+        city: "München",
+      },
+    },
+    {
+      // "8.10" is a time here, not the 8th of October
+      subject: "Morgen von 8.10 bis 12.10 Uhr in 50667 Köln",
+      internalDate: "2025-08-22T10:00:00Z",
+      expected: {
+        date: "23.08.2025",
+        time: "08:10",
+        endTime: "12:10",
+        zip: "50667",
+        city: "Köln",
+      },
+    },
+    {
+      subject: "Morgen 8.10 Uhr in 50667 Köln",
+      internalDate: "2025-08-22T10:00:00Z",
+      expected: {
+        date: "23.08.2025",
+        time: "08:10",
+        zip: "50667",
+        city: "Köln",
+      },
+    },
+    {
+      // "#48213 Umzug" must not be read as zip + city
+      subject: "Umzug am 12.10.2025 um 9 Uhr in 10115 Berlin, Job #48213 Umzug",
+      internalDate: "2025-10-01T08:00:00Z",
+      expected: {
+        date: "12.10.2025",
+        time: "09:00",
+        zip: "10115",
+        city: "Berlin",
+        jobNumber: "48213",
+      },
+    },
+  ],
+};
@@ -0,0 +1,225 @@
+// grammars/helpers.js - Shared field extraction for job-mail grammars
+
+const { inferYear, resolveRelativeDate } = require("../dates");
+const { extractJobAttributes } = require("../job-record");
+
+// helper: zero-pad DD/MM/HH
+const z2 = (n) => String(n).padStart(2, "0");
+
+const isDayMonth = (d, m) => +d >= 1 && +d <= 31 && +m >= 1 && +m <= 12;
+
+// a job needs date + time + zip to build the automator's row needle
+const isCompleteDetails = (d) => !!(d && d.date && d.time && d.zip);
+
+// Ignore obvious non-job mails
+const isNonJobText = (s) =>
+  /registrierung|registration|verify|best[äa]tig/i.test(String(s || ""));
+
+// Notices about a job we may already know of, checked in order:
+// "cancelled" (customer called it off) / "declined" (our application was
+// turned down) / "taken" (another helper got it) / "confirmed" (we got it)
+const NOTICE_PATTERNS = [
+  [
+    "cancelled",
+    /\bstorniert\b|\bstornierung\b|\babgesagt\b|\bannulliert\b|\bentf[äa]llt\b|\bf[äa]llt\s+aus\b/i,
+  ],
+  [
+    "declined",
+    /\babsage\b|\babgelehnt\b|\bnicht\s+(?:berücksichtigt|beruecksichtigt|ausgewählt|ausgewaehlt|eingeteilt|zugeteilt)\b/i,
+  ],
+  [
+    "taken",
+    /\b(?:bereits|schon)\s+(?:vergeben|besetzt)\b|\bjob\s+vergeben\b|\bnicht\s+mehr\s+(?:verfügbar|verfuegbar|frei)\b|\bausgebucht\b/i,
+  ],
+  [
+    "confirmed",
+    /\beinsatzbest[äa]tigung\b|\bbest[äa]tigung\s+(?:deines|ihres|des)\s+einsatzes\b|\b(?:job|einsatz|auftrag|umzug)\s+(?:wurde\s+|ist\s+)?best[äa]tigt\b|\b(?:eingeteilt|zugeteilt)\b|\bzusage\b/i,
+  ],
+];
+
+// TEXT → "cancelled" | "declined" | "taken" | "confirmed" | null
+function noticeKindOf(text) {
+  const s = String(text || "").replace(/\s+/g, " ");
+  const hit = NOTICE_PATTERNS.find(([, re]) => re.test(s));
+  return hit ? hit[0] : null;
+}
+
+// earlier fields win; later ones only fill what is still missing
+function mergeDetails(primary, fallback) {
+  if (!primary) return fallback || null;
+  if (!fallback) return primary;
+  const out = { ...primary };
+  for (const key of Object.keys(fallback)) {
+    if (!out[key]) out[key] = fallback[key];
+  }
+  return out;
+}
+
+// DD.MM. without a year; "um 8.10", "von 8.10 bis 12.10", "- 12.10" and
+// "8.10 Uhr" are times
+const YEARLESS_DATE_RE =
+  /(?<!\b(?:um|ab|von|bis)\s+|[-–]\s*)\b(\d{1,2})\.(\d{1,2})\.?\b(?!\s*Uhr\b)/i;
+
+// Start time candidates, most trusted first → (hour)(minutes)
+const TIME_RES = [
+  // um 12:30 / ab 12:30 (anchored to "um" or "ab" to avoid catching "29.04")
+  /\b(?:um|ab)\s+(\d{1,2}):(\d{2})\b/gi,
+  // um 9.30 / ab 9.30 (but not part of a date; disallow trailing dot)
+  /\b(?:um|ab)\s+(\d{1,2})\.(\d{2})(?!\.)\b/gi,
+  // um 9 / ab 9 [Uhr]
+  /\b(?:um|ab)\s+(\d{1,2})()(?![.:]\d)(?:\s*Uhr)?\b/gi,
+  // standalone HH:MM or HH.MM that are NOT immediately after a digit+dot (date)
+  /(?:^|[^0-9.])(\d{1,2}):(\d{2})\b/g,
+  /(?:^|[^0-9.])(\d{1,2})\.(\d{2})\b(?!\.)/g,
+];
+
+// "Köln", "Frankfurt am Main", "Halle (Saale)": capitalised words, joined only
+// by the connectors of place names; any other lowercase word ends the city
+const CITY_WORD = "\\p{Lu}[\\p{L}.'\\-/]*";
+const ZIP_CITY_RE = new RegExp(
+  `(?<!#\\s?)\\b(\\d{5})\\s+(${CITY_WORD}(?:\\s+(?:(?:am|an|der|im|ob|a\\.|d\\.|i\\.)\\s+)*${CITY_WORD}|\\s*\\([^()]*\\))*)(?![\\p{L}])`,
+  "u"
+);
+
+/**
+ * TEXT → partial JobRecord (see job-record.js; null fields when not found)
+ * anchored: relative day words only count as "am Montag" / at the line
+ * start (body lines; see resolveRelativeDate)
+ */
+function extractJobFields(
+  text,
+  internalDate = new Date(),
+  { anchored = false } = {}
+) {
+  if (!text) return null;
+
+  // Normalize
+  let s = String(text).replace(/\s+/g, " ").trim();
+
+  // --- DATE ---
+  let dateStr = null;
+  let m;
+
+  // With explicit year: DD.MM.YYYY
+  m = s.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
+  if (m) {
+    dateStr = `${z2(m[1])}.${z2(m[2])}.${m[3]}`;
+  } else if ((m = s.match(YEARLESS_DATE_RE)) && isDayMonth(m[1], m[2])) {
+    // Without year: DD.MM.  → nearest upcoming date from INTERNALDATE
+    const y = inferYear(m[1], m[2], internalDate);
+    dateStr = `${z2(m[1])}.${z2(m[2])}.${y}`;
+  } else {
+    // "heute" / "morgen" / "übermorgen" / "Samstag" → received day in Berlin
+    dateStr = resolveRelativeDate(s, internalDate, { anchored });
+  }
+
+  // --- TIME (first in-range match; 25:00 or 9.75 is no time) ---
+  let timeStr = null;
+  for (const re of TIME_RES) {
+    for (const t of s.matchAll(re)) {
+      timeStr = toHHMM(t[1], t[2]);
+      if (timeStr) break;
+    }
+    if (timeStr) break;
+  }
+
+  // von 9 bis 13 Uhr → start from the range when nothing else matched
+  const span = extractTimeSpan(s);
+  if (!timeStr) timeStr = span.start;
+  const { endTime, durationHours } = completeTimeSpan(timeStr, span);
+
+  // --- ZIP + CITY ("#48213" is a job number, not a zip) ---
+  const loc = s.match(ZIP_CITY_RE);
+
+  return {
+    date: dateStr,
+    time: timeStr,
+    zip: loc ? loc[1] : null,
+    // a sentence's full stop is not part of the name ("St." / "a.M." are)
+    city: loc ? loc[2].replace(/(\p{Ll}{2})\.$/u, "$1") : null,
+    endTime,
+    durationHours,
+    ...extractJobAttributes(s),
+  };
+}
+
+const H = "(\\d{1,2})(?:[:.](\\d{2}))?";
+const RANGE_RES = [
+  // von 9 bis 13 Uhr / von 9:30 Uhr bis 12.00
+  new RegExp(`\\bvon\\s+${H}\\s*(?:Uhr\\s*)?bis\\s+${H}`, "i"),
+  // ab 9 bis 13 Uhr / 9-13 Uhr / 9:00 – 13:00 Uhr
+  new RegExp(
+    `(?<![\\d.])${H}\\s*(?:Uhr\\s*)?(?:bis|-|–)\\s*${H}\\s*Uhr\\b`,
+    "i"
+  ),
+];
+const DURATION_RE =
+  /(?:\b(?:ca\.?|circa|etwa|ungefähr|rund)\s*(\d+(?:[.,]\d+)?)\s*(?:std\b\.?|stunden?\b|h\b))|(?:\b(\d+(?:[.,]\d+)?)\s*(?:std\b\.?|stunden?\b))/i;
+
+const toHHMM = (h, m) =>
+  +h <= 23 && +(m || 0) <= 59 ? `${z2(h)}:${m || "00"}` : null;
+
+const minutesOf = (t) => {
+  const [h, m] = t.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// TEXT → { start, endTime, durationHours } as found (null when absent)
+function extractTimeSpan(text) {
+  const s = String(text || "");
+  let start = null,
+    endTime = null,
+    durationHours = null;
+
+  for (const re of RANGE_RES) {
+    const m = s.match(re);
+    if (!m) continue;
+    start = toHHMM(m[1], m[2]);
+    endTime = toHHMM(m[3], m[4]);
+    if (start && endTime) break;
+    start = endTime = null;
+  }
+
+  const d = s.match(DURATION_RE);
+  if (d) {
+    const hours = parseFloat(String(d[1] || d[2]).replace(",", "."));
+    if (hours > 0 && hours <= 24) durationHours = hours;
+  }
+
+  return { start, endTime, durationHours };
+}
+
+// Derive the missing half: range → duration, start + duration → end
+function completeTimeSpan(time, { endTime = null, durationHours = null } = {}) {
+  if (!time) return { endTime, durationHours };
+
+  if (endTime && !durationHours) {
+    let diff = minutesOf(endTime) - minutesOf(time);
+    if (diff <= 0) diff += 24 * 60; // past midnight
+    durationHours = Math.round((diff / 60) * 100) / 100;
+  } else if (durationHours && !endTime) {
+    const end = (minutesOf(time) + Math.round(durationHours * 60)) % (24 * 60);
+    endTime = `${z2(Math.floor(end / 60))}:${z2(end % 60)}`;
+  }
+  return { endTime, durationHours };
+}
+
+// Body text → trimmed, non-empty lines
+const toLines = (body) =>
+  String(body || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+module.exports = {
+  z2,
+  isCompleteDetails,
+  isNonJobText,
+  noticeKindOf,
+  mergeDetails,
+  extractJobFields,
+  extractTimeSpan,
+  completeTimeSpan,
+  toHHMM,
+  toLines,
+};
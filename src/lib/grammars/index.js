@@ -0,0 +1,277 @@
+// grammars/index.js - Registry of job-mail grammars, tried in order
+//
+// A grammar is a plain module:
+//   {
+//     name,                     // reported with every parse
+//     source: "subject"|"body", // which text it needs
+//     confidence: 0..1,         // how much a match of this layout is trusted
+//     match(input) → boolean,   // cheap pre-check
+//     extract(input) → partial { date, time, zip, city } | [complete, ...] | null,
+//     samples: [{ subject, body?, internalDate, expected }],
+//   }
+// input = { subject, body, internalDate }
+// Digest grammars return an array: one complete record per listed job.
+//
+// New mail layouts: add a module next to this file and register it below.
+
+const {
+  isCompleteDetails,
+  isNonJobText,
+  noticeKindOf,
+  mergeDetails,
+  extractJobFields,
+  toLines,
+} = require("./helpers");
+
+const { isPastDate } = require("../dates");
+
+const grammars = [];
+
+// number of fields actually found (null/empty don't count)
+const filledKeys = (d) =>
+  Object.values(d || {}).filter((v) => v !== null && v !== "").length;
+
+// names of the fields actually found
+const foundFields = (d) =>
+  Object.keys(d || {}).filter((k) => d[k] !== null && d[k] !== "");
+
+// How much each core field contributes to a parse's confidence
+const FIELD_WEIGHTS = { date: 0.3, time: 0.25, zip: 0.25, city: 0.1 };
+const JOB_NUMBER_BONUS = 0.1;
+
+// 0..1: found fields × trust in the grammar(s) that produced them
+function scoreDetails(details, grammarNames) {
+  if (!details || !grammarNames) return 0;
+  let fieldScore = JOB_NUMBER_BONUS * (details.jobNumber ? 1 : 0);
+  for (const [key, weight] of Object.entries(FIELD_WEIGHTS)) {
+    if (details[key]) fieldScore += weight;
+  }
+
+  const names = grammarNames.split("+");
+  const trust = Math.min(
+    ...names.map((n) => {
+      const g = grammars.find((x) => x.name === n);
+      return g && typeof g.confidence === "number" ? g.confidence : 0.5;
+    })
+  );
+  // stitched from several grammars → a little less certain
+  const stitched = names.length > 1 ? 0.9 : 1;
+
+  return Math.round(Math.min(1, fieldScore) * trust * stitched * 100) / 100;
+}
+
+function registerGrammar(grammar, { prepend = false } = {}) {
+  if (!grammar || !grammar.name) throw new Error("Grammar needs a name");
+  if (typeof grammar.match !== "function") {
+    throw new Error(`Grammar ${grammar.name} needs a match() function`);
+  }
+  if (typeof grammar.extract !== "function") {
+    throw new Error(`Grammar ${grammar.name} needs an extract() function`);
+  }
+  if (grammars.some((g) => g.name === grammar.name)) {
+    throw new Error(`Grammar ${grammar.name} is already registered`);
+  }
+  if (prepend) grammars.unshift(grammar);
+  else grammars.push(grammar);
+  return grammar;
+}
+
+function listGrammars() {
+  return grammars.map((g) => g.name);
+}
+
+/**
+ * Run the registered grammars against a mail.
+ * The first grammar yielding complete details wins; otherwise partial
+ * results are merged in registry order.
+ * Jobs whose day lies before the mail's received day are dropped; if none
+ * remain the result is flagged with rejected: "past_date".
+ * Cancellation, "Job vergeben" and assignment mails are flagged with notice; their
+ * (often partial) fields identify the job they refer to.
+ * @returns {{ jobs: Object[], details: Object|null, grammar: string|null, complete: boolean, confidence: number, found: string[], skipped?: boolean, rejected?: string, pastJobs?: Object[], notice?: string }}
+ *   jobs       - complete records, one per job in the mail (digests list several)
+ *   details    - first job, or the partial fields found when incomplete
+ *   confidence - 0..1, lowest score across jobs (see scoreDetails)
+ *   found      - field names present in details
+ *   notice     - "cancelled" | "declined" | "taken" | "confirmed" (see noticeKindOf)
+ */
+function parseJobMail(input = {}) {
+  const notice = noticeOf(input);
+  // "Einsatzbestätigung" would otherwise be skipped as a verification mail
+  const result = withConfidence(runGrammars(input, { notice: !!notice }));
+  if (notice) {
+    // notices rarely follow an offer layout: fill gaps with the plain field scan
+    const text = [input.subject, input.body].filter(Boolean).join("\n");
+    const details = mergeDetails(
+      result.details,
+      extractJobFields(text, input.internalDate || new Date())
+    );
+    return { ...result, details, found: foundFields(details), notice };
+  }
+  if (!result.complete) return result;
+
+  const receivedAt = input.internalDate || new Date();
+  const pastJobs = result.jobs.filter((j) => isPastDate(j.date, receivedAt));
+  if (!pastJobs.length) return result;
+
+  const jobs = result.jobs.filter((j) => !pastJobs.includes(j));
+  if (!jobs.length) {
+    return {
+      ...result,
+      jobs,
+      complete: false,
+      rejected: "past_date",
+      pastJobs,
+    };
+  }
+  return { ...result, jobs, details: jobs[0], pastJobs };
+}
+
+// The subject decides; the body only counts when the subject is not a job
+// offer by itself, and then only its opening paragraph: offer bodies carry
+// "bereits vergeben" / "storniert" in their footer boilerplate
+function noticeOf(input) {
+  const kind = noticeKindOf(input.subject);
+  if (kind || !input.body || isNonJobText(input.subject)) return kind;
+  if (runGrammars({ ...input, body: undefined }).complete) return null;
+  return noticeKindOf(leadOf(input.body));
+}
+
+const NOTICE_LEAD_LINES = 3;
+// "Hallo Max," / "Sehr geehrte Frau Müller," on a line of its own
+const GREETING_RE =
+  /^(?:hallo|hi|moin|guten\s+tag|liebe[rs]?|sehr\s+geehrte[rs]?)(?:\s+[\p{L}.-]+){0,3}\s*[,!]?$/iu;
+
+// first paragraph past a lone greeting line, at most NOTICE_LEAD_LINES lines
+function leadOf(body) {
+  const paragraphs = String(body)
+    .split(/\r?\n\s*\r?\n/)
+    .map(toLines)
+    .filter((lines) => lines.length);
+  const lead = paragraphs.find(
+    (lines) => !(lines.length === 1 && GREETING_RE.test(lines[0]))
+  );
+  return (lead || []).slice(0, NOTICE_LEAD_LINES).join("\n");
+}
+
+function withConfidence(result) {
+  const scored = result.jobs.length ? result.jobs : [result.details];
+  return {
+    ...result,
+    confidence: Math.min(...scored.map((d) => scoreDetails(d, result.grammar))),
+    found: foundFields(result.details),
+  };
+}
+
+function runGrammars(
+  { subject = "", body, internalDate = new Date() } = {},
+  { notice = false } = {}
+) {
+  if (!notice && isNonJobText(subject)) {
+    return {
+      jobs: [],
+      details: null,
+      grammar: null,
+      complete: false,
+      skipped: true,
+    };
+  }
+
+  const input = { subject, body, internalDate };
+  let partial = null;
+  const contributors = [];
+
+  for (const grammar of grammars) {
+    const text = grammar.source === "body" ? body : subject;
+    if (!text) continue;
+
+    let fields = null;
+    try {
+      if (!grammar.match(input)) continue;
+      fields = grammar.extract(input);
+    } catch (err) {
+      console.error(`❌ Grammar ${grammar.name} threw:`, err.message);
+      continue;
+    }
+    if (!fields) continue;
+
+    if (Array.isArray(fields)) {
+      const jobs = fields.filter(isCompleteDetails);
+      if (!jobs.length) continue;
+      return { jobs, details: jobs[0], grammar: grammar.name, complete: true };
+    }
+
+    if (isCompleteDetails(fields)) {
+      return {
+        jobs: [fields],
+        details: fields,
+        grammar: grammar.name,
+        complete: true,
+      };
+    }
+
+    const before = filledKeys(partial);
+    partial = mergeDetails(partial, fields);
+    if (filledKeys(partial) > before) contributors.push(grammar.name);
+
+    if (isCompleteDetails(partial)) {
+      return {
+        jobs: [partial],
+        details: partial,
+        grammar: contributors.join("+"),
+        complete: true,
+      };
+    }
+  }
+
+  return {
+    jobs: [],
+    details: partial,
+    grammar: contributors.length ? contributors.join("+") : null,
+    complete: false,
+  };
+}
+
+// Run every grammar's samples through the full registry
+function verifyGrammarSamples() {
+  const results = [];
+  for (const grammar of grammars) {
+    for (const sample of grammar.samples || []) {
+      const { jobs, grammar: matched } = parseJobMail({
+        subject: sample.subject,
+        body: sample.body,
+        internalDate: new Date(sample.internalDate),
+      });
+      // expected: one record, or an array for digest mails
+      const expected = [].concat(sample.expected);
+      const ok =
+        matched === grammar.name &&
+        jobs.length === expected.length &&
+        expected.every((exp, i) =>
+          Object.keys(exp).every((k) => jobs[i][k] === exp[k])
+        );
+      results.push({
+        grammar: grammar.name,
+        matched,
+        subject: sample.subject,
+        ok,
+        expected: sample.expected,
+        got: jobs.length > 1 ? jobs : jobs[0] || null,
+      });
+    }
+  }
+  return results;
+}
+
+registerGrammar(require("./umzugshelfer-subject"));
+registerGrammar(require("./generic-subject"));
+registerGrammar(require("./body-digest"));
+registerGrammar(require("./body-lines"));
+registerGrammar(require("./body-labelled"));
+
+module.exports = {
+  registerGrammar,
+  listGrammars,
+  parseJobMail,
+  verifyGrammarSamples,
+};
@@ -0,0 +1,63 @@
+// grammars/umzugshelfer-subject.js - Current platform subject layout
+// "2 Umzugshelfer am 23.08.2025 ab 15:00 Uhr in 58452 Witten gesucht"
+
+const { z2, toHHMM, extractTimeSpan, completeTimeSpan } = require("./helpers");
+const { extractJobAttributes } = require("../job-record");
+
+const SUBJECT_RE =
+  /(?<count>\d+)\s+Umzugshelfer\s+am\s+(?<date>\d{1,2}\.\d{1,2}\.\d{4})\s+(?:(?:ab|um)\s+)?(?<hour>\d{1,2})(?:[:.](?<minute>\d{2}))?\s*(?:Uhr)?\s+in\s+(?<zip>\d{5})\s+(?<city>[\p{L}\-.'()/\s]+?)\s+gesucht/iu;
+
+module.exports = {
+  name: "umzugshelfer-subject",
+  confidence: 1,
+  source: "subject",
+
+  match({ subject }) {
+    return SUBJECT_RE.test(subject);
+  },
+
+  extract({ subject }) {
+    const { count, date, hour, minute, zip, city } =
+      subject.match(SUBJECT_RE).groups;
+    const [d, m, y] = date.split(".");
+    const time = toHHMM(hour, minute); // null for "25 Uhr"
+    return {
+      date: `${z2(d)}.${z2(m)}.${y}`,
+      time,
+      zip,
+      city: city.replace(/\s+/g, " ").trim(),
+      ...completeTimeSpan(time, extractTimeSpan(subject)),
+      ...extractJobAttributes(subject),
+      helpersNeeded: parseInt(count, 10),
+    };
+  },
+
+  samples: [
+    {
+      subject:
+        "2 Umzugshelfer am 23.08.2025 ab 15:00 Uhr in 58452 Witten gesucht",
+      internalDate: "2025-08-20T08:00:00Z",
+      expected: {
+        date: "23.08.2025",
+        time: "15:00",
+        zip: "58452",
+        city: "Witten",
+        helpersNeeded: 2,
+        jobType: "Umzug",
+      },
+    },
+    {
+      subject:
+        "1 Umzugshelfer am 5.9.2025 um 9 Uhr in 50667 Köln gesucht (ca. 3,5 Std.)",
+      internalDate: "2025-09-01T08:00:00Z",
+      expected: {
+        date: "05.09.2025",
+        time: "09:00",
+        endTime: "12:30",
+        durationHours: 3.5,
+        zip: "50667",
+        city: "Köln",
+      },
+    },
+  ],
+};
@@ -0,0 +1,129 @@
+// inbound-mail.js - Mails pushed to us (POST /inbound/mail) instead of polled
+//
+// The body is the raw RFC 822 message (Postfix pipe, procmail, "raw MIME"
+// webhooks). Callers authenticate with INBOUND_MAIL_SECRET, either as
+//   Authorization: Bearer <secret>
+// or as an HMAC-SHA256 of the raw body, hex encoded:
+//   X-Signature: sha256=<hmac>
+
+const crypto = require("crypto");
+
+const { parseMessage, getHeader, receivedDateOf } = require("./mime");
+const { JobMailSource, cleanSubject } = require("./job-mail-source");
+const { senderAuthErrors, backlogPolicyErrors } = require("./mail-config");
+
+// constant-time string compare (lengths may differ)
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * @param {Object} headers - request headers (lowercase names, as in express)
+ * @param {Buffer} rawBody
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function authenticateInbound(headers, rawBody, secret) {
+  if (!secret) return false;
+
+  const auth = String(headers.authorization || "");
+  if (auth.startsWith("Bearer ") && safeEqual(auth.slice(7).trim(), secret)) {
+    return true;
+  }
+
+  const signature = String(headers["x-signature"] || "").replace(
+    /^sha256=/i,
+    ""
+  );
+  if (!signature) return false;
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+  return safeEqual(signature.toLowerCase(), expected);
+}
+
+// Same parse / dispatch / quarantine path as the polled sources, one mail at a time
+class InboundMailSource extends JobMailSource {
+  constructor(options = {}) {
+    super({ ...options, name: options.name || "inbound" });
+    this.received = 0;
+    this.lastReceivedAt = null;
+  }
+
+  validateConfig() {
+    const errors = [
+      ...senderAuthErrors(this.senderAuth),
+      ...backlogPolicyErrors(this.backlog),
+    ];
+    if (errors.length) {
+      throw new Error(
+        `Invalid inbound mail configuration:\n - ${errors.join("\n - ")}`
+      );
+    }
+  }
+
+  // nothing to flag — the mail only exists in the request
+  async markAsRead() {}
+
+  /**
+   * @param {Buffer} raw - RFC 822 message
+   * @returns {Promise<{ ignored?: string, outcome?: string|null, subject?: string }>}
+   */
+  async receive(raw, jobHandler) {
+    this.received++;
+    this.lastReceivedAt = new Date();
+
+    const msg = parseMessage(raw);
+    const from = getHeader(msg.headers, "from");
+    // the platform domain MAIL_AUTH_DOMAIN also checks DKIM/SPF/DMARC for
+    if (!from.toLowerCase().includes(this.senderAuth.domain)) {
+      console.log(`📨 Inbound mail from ${from || "unknown"} ignored`);
+      return { ignored: "sender" };
+    }
+
+    // the same mail posted twice keeps its id, so a redelivery is not a duplicate
+    const id = crypto
+      .createHash("sha256")
+      .update(raw)
+      .digest("hex")
+      .slice(0, 16);
+    console.log(`📨 Inbound mail ${id} received`);
+
+    try {
+      const outcome = await this.handleMail(
+        {
+          id,
+          mailbox: "webhook",
+          subject: cleanSubject(msg.subject),
+          internalDate: receivedDateOf(msg.headers) || new Date(),
+          messageId: getHeader(msg.headers, "message-id") || null,
+          headers: msg.headers,
+          getBody: async () => msg.bodyText,
+          notice: { at: this.lastReceivedAt.getTime(), via: "webhook" },
+        },
+        jobHandler
+      );
+      return { outcome, subject: msg.subject };
+    } catch (err) {
+      this.lastError = err.message;
+      throw err;
+    } finally {
+      await this.reportSkipped();
+    }
+  }
+
+  status() {
+    return {
+      name: this.name,
+      source: "webhook",
+      received: this.received,
+      lastReceivedAt: this.lastReceivedAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { InboundMailSource, authenticateInbound };
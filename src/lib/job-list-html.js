@@ -0,0 +1,200 @@
+// job-list-html.js - Just enough HTML reading for the browserless automator
+//
+// Not a general parser: it finds the few elements the platform's pages are
+// built from (div.entry rows, their accept form, the login form) and reads
+// attributes and text the way DOMParser + FormData would for them.
+
+const { extractJobAttributes } = require("./job-record");
+
+const TAG_RE = /<(\/?)([a-zA-Z][\w-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTR_RE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  auml: "ä",
+  ouml: "ö",
+  uuml: "ü",
+  Auml: "Ä",
+  Ouml: "Ö",
+  Uuml: "Ü",
+  szlig: "ß",
+  euro: "€",
+  ndash: "–",
+};
+
+function decodeEntities(s) {
+  return String(s || "").replace(
+    /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+    (all, code) => {
+      if (code[0] === "#") {
+        const n =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : all;
+      }
+      return NAMED_ENTITIES[code] ?? all;
+    }
+  );
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  for (const [, name, dq, sq, bare] of String(raw || "").matchAll(ATTR_RE)) {
+    attrs[name.toLowerCase()] = decodeEntities(dq ?? sq ?? bare ?? "");
+  }
+  return attrs;
+}
+
+const hasClass = (attrs, name) =>
+  String(attrs.class || "")
+    .split(/\s+/)
+    .includes(name);
+
+// visible text of a fragment, whitespace collapsed
+const textOf = (html) =>
+  decodeEntities(
+    String(html || "")
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Outermost <tag> elements matching test(attrs), in document order.
+ * @returns {{ attrs: Object, inner: string }[]}
+ */
+function findElements(html, tag, test = () => true) {
+  const found = [];
+  const re = new RegExp(TAG_RE.source, "g");
+  let open = null; // { attrs, start, depth }
+  let m;
+  while ((m = re.exec(html))) {
+    if (m[2].toLowerCase() !== tag) continue;
+    const closing = m[1] === "/";
+    if (!open) {
+      if (closing) continue;
+      const attrs = parseAttrs(m[3]);
+      if (test(attrs)) open = { attrs, start: re.lastIndex, depth: 1 };
+      continue;
+    }
+    open.depth += closing ? -1 : 1;
+    if (open.depth === 0) {
+      found.push({ attrs: open.attrs, inner: html.slice(open.start, m.index) });
+      open = null;
+    }
+  }
+  // unclosed element: take the rest of the document
+  if (open) found.push({ attrs: open.attrs, inner: html.slice(open.start) });
+  return found;
+}
+
+// opening tags only (input has no content)
+function findTags(html, tag) {
+  const tags = [];
+  for (const m of String(html || "").matchAll(new RegExp(TAG_RE.source, "g"))) {
+    if (m[1] !== "/" && m[2].toLowerCase() === tag) tags.push(parseAttrs(m[3]));
+  }
+  return tags;
+}
+
+/**
+ * A <form> as FormData would submit it (no submitter).
+ * @returns {{ action: string, method: string, enctype: string, fields: [string, string][], buttons: Object[] }}
+ */
+function readForm({ attrs, inner }) {
+  const fields = [];
+  for (const input of findTags(inner, "input")) {
+    const type = (input.type || "text").toLowerCase();
+    if (!input.name || "disabled" in input) continue;
+    if (["submit", "button", "image", "reset", "file"].includes(type)) continue;
+    if ((type === "checkbox" || type === "radio") && !("checked" in input))
+      continue;
+    fields.push([
+      input.name,
+      input.value ?? (type === "checkbox" || type === "radio" ? "on" : ""),
+    ]);
+  }
+  for (const { attrs: ta, inner: text } of findElements(inner, "textarea")) {
+    if (ta.name) fields.push([ta.name, decodeEntities(text)]);
+  }
+  for (const { attrs: sa, inner: options } of findElements(inner, "select")) {
+    if (!sa.name) continue;
+    const all = findElements(options, "option");
+    const chosen = all.find((o) => "selected" in o.attrs) || all[0];
+    if (chosen) {
+      fields.push([sa.name, chosen.attrs.value ?? textOf(chosen.inner)]);
+    }
+  }
+
+  const buttons = [
+    ...findElements(inner, "button").map((b) => b.attrs),
+    ...findTags(inner, "input").filter((i) =>
+      ["submit", "image"].includes((i.type || "").toLowerCase())
+    ),
+  ].filter((b) => (b.type || "submit").toLowerCase() === "submit");
+
+  return {
+    action: attrs.action || "",
+    method: (attrs.method || "GET").toUpperCase(),
+    enctype: (attrs.enctype || "").toLowerCase(),
+    fields,
+    buttons,
+  };
+}
+
+/**
+ * Rows of the "Meine Jobs" page (div.entry), as the browser automator reads them.
+ * @returns {{ text: string, status: string, id: string|null, fullText: string, form: Object|null }[]}
+ */
+function parseJobList(html) {
+  return findElements(html, "div", (a) => hasClass(a, "entry")).map(
+    ({ attrs, inner }) => {
+      const location = findElements(
+        inner,
+        "span",
+        (a) => hasClass(a, "date") && hasClass(a, "location")
+      )[0];
+      const fullText = textOf(inner);
+      const form = findElements(inner, "form")[0];
+      return {
+        text: location ? textOf(location.inner) : "",
+        status: attrs["data-status"] || "",
+        id: (fullText.match(/#\s?(\d{4,7})/) || [])[1] || null,
+        fullText,
+        form: form ? readForm(form) : null,
+        ...extractJobAttributes(fullText),
+      };
+    }
+  );
+}
+
+// Contao login form: tl_login_*, else one posting to /login, else the first form
+function parseLoginForm(html) {
+  const forms = findElements(html, "form");
+  const form =
+    forms.find((f) => /^tl_login_/.test(f.attrs.id || "")) ||
+    forms.find((f) => /\/login/.test(f.attrs.action || "")) ||
+    forms[0];
+  return form ? readForm(form) : null;
+}
+
+// a password field means we were sent to the login page
+const isLoginPage = (html) =>
+  findTags(html, "input").some(
+    (i) => (i.type || "").toLowerCase() === "password"
+  );
+
+module.exports = {
+  decodeEntities,
+  textOf,
+  parseJobList,
+  parseLoginForm,
+  isLoginPage,
+};
@@ -0,0 +1,638 @@
+// job-mail-source.js - What every job mail source (IMAP, Gmail API) shares
+//
+// A source implements:
+//   initialize()                 connect; throws if the account is unusable
+//   validateConfig()             throws a readable error for bad settings
+//   checkForNewEmails(handler)   find new mails, processBatch() them
+//                                (only through requestScan(), never directly)
+//   fetchMail(id, mailbox)       headers of one mail → handleMail()'s mail object
+//   sortMessage(id, outcome)     file a processed mail by its outcome
+//   markAsRead(id)
+//   reconnectsItself()           true if a failed start is retried internally
+//   transporter                  { sendMail } for notifications, null if none
+//   address                      account address notifications go to
+// and gets parsing, sender checks, dispatching, polling and notifications
+// from this class.
+
+const { decodeRfc2047, getHeader } = require("./mime");
+const { parseJobMail } = require("./grammars");
+const { describeJob, describeRef } = require("./job-record");
+const { ParseQuarantine } = require("./quarantine");
+const { MailboxState } = require("./mailbox-state");
+const { DeadLetterStore } = require("./dead-letters");
+const { ScanScheduler } = require("./scan-scheduler");
+const { loadSenderAuthPolicy, loadBacklogPolicy } = require("./mail-config");
+const { checkSenderAuth } = require("./sender-auth");
+const { JobTrace } = require("./latency");
+const { parseDate, isPastJob } = require("./dates");
+
+// notification mail block: one "- <job>" line per record (empty if none)
+const formatJobLines = (jobs) =>
+  jobs && jobs.length
+    ? `Jobs:\n${jobs.map((j) => `- ${describeJob(j)}`).join("\n")}\n`
+    : "";
+
+// raw (possibly encoded) Subject header value → one clean line
+function cleanSubject(raw) {
+  return decodeRfc2047(String(raw || "").replace(/\r?\n[ \t]+/g, " "))
+    .replace(/\bU\s+hr\b/gi, "Uhr") // "U hr" → "Uhr"
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "DD.MM.YYYY" + "HH:MM" → sortable wall-clock ms (Infinity when unknown)
+function jobStartOf({ date, time }) {
+  const d = parseDate(date);
+  if (!d) return Infinity;
+  const m = String(time || "").match(/^(\d{1,2})[.:](\d{2})$/);
+  const minutes = m ? +m[1] * 60 + +m[2] : 0;
+  return Date.UTC(d.year, d.month - 1, d.day) + minutes * 60000;
+}
+
+// handleNewJob results for one mail → sort outcome (null: unknown). Queued
+// jobs are applied later, their mail goes to "pending"; dry-run mails are
+// left in place on purpose so a real run still finds them.
+function outcomeOf(results) {
+  const known = results.filter((r) => r && r.results);
+  if (!known.length) return null;
+  if (known.some((r) => r.results.failed.length)) return "failed";
+  if (known.every((r) => r.duplicate || r.lost)) return "duplicate";
+  if (known.some((r) => r.dryRun)) return null;
+  if (known.some((r) => r.queued)) return "pending";
+  return "applied";
+}
+
+class JobMailSource {
+  constructor(options = {}) {
+    // per-account settings (MAIL_ACCOUNTS_FILE) or the process environment
+    const env = options.env || process.env;
+    this.transporter = null;
+    this.address = null;
+    this.name = options.name || "default";
+    this.lastError = null;
+
+    this.jobHandler = null;
+    this.noticeHandler = null; // cancellation, "Job vergeben" and assignment mails
+    this.reconnectDelayMs = 5000;
+
+    // polling
+    this.pollingInterval = null;
+    this.pollingFrequency = 15000;
+    this.lastCheckTime = new Date();
+    // push, polling and manual scans share one single-flight scheduler
+    this.scanNotice = null; // { at, via }: the request the running scan serves
+    this.scheduler = new ScanScheduler(async (reasons, requestedAt) => {
+      this.scanNotice = { at: requestedAt, via: reasons[0] };
+      try {
+        await this.checkForNewEmails(this.jobHandler);
+      } finally {
+        await this.reportSkipped();
+      }
+    });
+
+    // Unparsed / low-confidence mails are parked here instead of re-polled
+    this.quarantine = options.quarantine || new ParseQuarantine();
+    // read positions per mailbox; shared when several sources run
+    this.mailboxState = options.mailboxState || new MailboxState();
+    this.minConfidence = parseFloat(env.PARSE_MIN_CONFIDENCE || "0.6");
+
+    // A mail whose handler keeps throwing is retried with backoff, then parked
+    this.deadLetters = options.deadLetters || new DeadLetterStore();
+    this.maxAttempts = parseInt(env.MAIL_MAX_ATTEMPTS || "5", 10);
+    this.retryBaseMs = parseInt(env.MAIL_RETRY_BASE_MS || "30000", 10);
+
+    // DKIM/SPF/DMARC policy for mails that would trigger an action
+    this.senderAuth = loadSenderAuthPolicy(env);
+    // stale offers / past jobs are skipped and reported once per scan
+    this.backlog = loadBacklogPolicy(env);
+    this.skipped = [];
+
+    // Shared with the other watched accounts (see MailboxManager)
+    this.isDuplicateMessage = options.isDuplicateMessage || (() => false);
+    // alerts go out through whichever account can send (the manager)
+    this.notifier = options.notifier || this;
+  }
+
+  stateKey(mailbox) {
+    return `${this.name}/${mailbox}`;
+  }
+
+  // Fetch the headers of every new mail first, then handle them in backlog
+  // order. All ids go into pending up front: handling the newest first
+  // advances the high-water mark past mails not handled yet.
+  async processBatch(mailbox, ids, jobHandler) {
+    const key = this.stateKey(mailbox);
+    const state = this.mailboxState.get(key);
+    if (state) {
+      this.mailboxState.update(key, {
+        pending: [...new Set([...state.pending, ...ids])],
+      });
+    }
+
+    const mails = [];
+    for (const id of ids) {
+      try {
+        const mail = await this.fetchMail(id, mailbox);
+        if (!mail) {
+          this.mailboxState.markDone(key, id); // not ours / gone
+          continue;
+        }
+        mail.fetchedAt = Date.now();
+        mails.push(mail);
+      } catch (err) {
+        console.error(`❌ Error fetching email ${id}:`, err);
+        this.recordFailure(mailbox, id, err);
+      }
+    }
+
+    for (const mail of this.orderBacklog(mails)) {
+      let outcome;
+      try {
+        outcome = await this.handleMail(mail, jobHandler);
+        this.mailboxState.markDone(key, mail.id);
+      } catch (err) {
+        console.error(`❌ Error processing email ${mail.id}:`, err);
+        this.recordFailure(mailbox, mail.id, err);
+        continue;
+      }
+
+      try {
+        await this.sortMessage(mail.id, outcome);
+      } catch (err) {
+        console.error(
+          `❌ Could not sort email ${mail.id} (${outcome}):`,
+          err.message
+        );
+      }
+    }
+  }
+
+  // MAIL_BACKLOG_ORDER: newest mail first, soonest job first (by subject;
+  // mails it can't date go last) or as they arrived
+  orderBacklog(mails) {
+    const { order } = this.backlog;
+    if (mails.length < 2 || order === "arrival") return mails;
+
+    const keyOf =
+      order === "newest"
+        ? (m) => -(new Date(m.internalDate).getTime() || 0)
+        : (m) =>
+            Math.min(
+              ...parseJobMail({
+                subject: m.subject,
+                internalDate: m.internalDate,
+              }).jobs.map(jobStartOf)
+            );
+    const keys = new Map(mails.map((m) => [m, keyOf(m)]));
+    // stable: equal keys (e.g. two undated mails) keep arrival order
+    return [...mails].sort((a, b) =>
+      keys.get(a) === keys.get(b) ? 0 : keys.get(a) < keys.get(b) ? -1 : 1
+    );
+  }
+
+  // reason: "stale" (mail older than MAIL_MAX_AGE_HOURS) | "past" (job started)
+  skip(mail, jobs, reason) {
+    for (const job of jobs) {
+      this.skipped.push({
+        mailbox: mail.mailbox,
+        id: mail.id,
+        subject: mail.subject,
+        receivedAt: mail.internalDate,
+        job,
+        reason,
+      });
+    }
+  }
+
+  // one summary per scan (or webhook mail) instead of a mail per skipped job
+  async reportSkipped() {
+    if (!this.skipped.length) return;
+    const skipped = this.skipped;
+    this.skipped = [];
+    console.log(`⏭️ Skipped ${skipped.length} stale / past job(s) this scan`);
+    // the notifier may be another account: report the limits applied here
+    await this.notifier.sendBacklogSummary(skipped, this.backlog);
+  }
+
+  // Processing threw: schedule a retry (30s, 1m, 2m, ... up to 30m) or,
+  // once the budget is spent, move the mail to the dead-letter list
+  recordFailure(mailbox, id, err) {
+    const key = this.stateKey(mailbox);
+    const attempt = this.mailboxState.get(key)?.retries?.[id]?.attempts || 0;
+    const delayMs = Math.min(this.retryBaseMs * 2 ** attempt, 30 * 60 * 1000);
+    const record = this.mailboxState.markFailed(key, id, {
+      error: err.message,
+      delayMs,
+    });
+    if (!record) return;
+
+    if (record.attempts < this.maxAttempts) {
+      console.warn(
+        `🔁 Email ${id} failed (attempt ${record.attempts}/${
+          this.maxAttempts
+        }), retrying in ${Math.round(delayMs / 1000)}s`
+      );
+      return;
+    }
+
+    this.mailboxState.markDone(key, id); // out of pending; the list has it now
+    const entry = this.deadLetters.add({
+      account: this.name,
+      mailbox,
+      uid: id,
+      attempts: record.attempts,
+      firstFailedAt: record.firstFailedAt,
+      lastError: record.lastError,
+    });
+    console.error(
+      `☠️ Email ${id} failed ${record.attempts} times, dead-lettered as ${entry.id}`
+    );
+  }
+
+  /**
+   * Parse one fetched mail and hand it to the job / notice handler.
+   * @param {{ id: number|string, mailbox: string, subject: string, internalDate: Date, messageId: string|null, headers: Object, getBody: () => Promise<string>, notice?: { at: number, via: string } }} mail
+   *   headers - at least From, Date and Authentication-Results, as parseHeaders() returns them
+   *   notice  - when / how the mail was noticed (default: the running scan's request)
+   * jobHandler(job, { trace }) gets a latency trace (see latency.js) per job
+   * @returns {Promise<"applied"|"failed"|"unparsed"|"duplicate"|"pending"|null>} sort outcome, null = leave in place
+   */
+  async handleMail(mail, jobHandler) {
+    const { id, mailbox, subject, internalDate, messageId } = mail;
+    console.log(`📧 Subject: ${subject}`);
+
+    const notice = mail.notice || this.scanNotice || {};
+    const trace = new JobTrace(
+      {
+        sent: new Date(getHeader(mail.headers, "date")),
+        received: internalDate,
+        noticed: notice.at,
+        fetched: mail.fetchedAt || Date.now(),
+      },
+      notice.via
+    );
+
+    // Forwarded copy already handled by another watched mailbox
+    const owner = `${this.stateKey(mailbox)}/${id}`; // a retry of our own is fine
+    if (this.isDuplicateMessage(messageId, owner)) {
+      console.log(`🔁 ${messageId} already handled in another mailbox`);
+      await this.markAsRead(id);
+      return "duplicate";
+    }
+
+    let parsed = parseJobMail({ subject, internalDate });
+    let body = null;
+
+    // Subject shortened or reformatted → fill the gaps from the body
+    if (!parsed.complete && !parsed.skipped && !parsed.rejected) {
+      console.log("🔎 Subject incomplete, parsing email body...");
+      body = await mail.getBody();
+      parsed = parseJobMail({ subject, body, internalDate });
+    }
+    trace.mark("parsed");
+
+    const details = parsed.details;
+    const decision = this.classifyParse(parsed);
+
+    // A forged offer would make us accept whatever job the sender picked
+    if (
+      (decision === "apply" || decision === "notice") &&
+      this.senderAuth.mode !== "off"
+    ) {
+      const auth = checkSenderAuth(mail.headers, this.senderAuth);
+      if (!auth.pass) {
+        if (body === null) body = await mail.getBody();
+        return this.handleUnauthenticated(mail, parsed, auth, body);
+      }
+    }
+
+    if (decision === "apply") {
+      console.log(
+        `🧩 Parsed ${parsed.jobs.length} job(s) with grammar: ${parsed.grammar} (confidence ${parsed.confidence})`
+      );
+
+      // Backlog after a restart / outage: the job is long gone
+      const ageMs = Date.now() - new Date(internalDate).getTime();
+      const { maxAgeHours, skipPastJobs } = this.backlog;
+      if (maxAgeHours > 0 && ageMs > maxAgeHours * 3600 * 1000) {
+        console.log(
+          `⏭️ Email ${id} is ${Math.round(
+            ageMs / 3600000
+          )}h old, skipping its job(s)`
+        );
+        this.skip(mail, parsed.jobs, "stale");
+        await this.markAsRead(id);
+        return null;
+      }
+
+      const past = [
+        ...(parsed.pastJobs || []),
+        ...(skipPastJobs
+          ? parsed.jobs.filter((j) => isPastJob(j.date, j.time))
+          : []),
+      ];
+      if (past.length) {
+        console.log(`⏭️ Skipping ${past.length} past job(s)`);
+        this.skip(mail, past, "past");
+      }
+
+      // One handler call per job; the mail is read only once all are handed off
+      const results = [];
+      for (const job of parsed.jobs.filter((j) => !past.includes(j))) {
+        console.log("➡️ Passing details to handler:", job);
+        results.push(await jobHandler(job, { trace: trace.fork() }));
+      }
+      await this.markAsRead(id);
+      return outcomeOf(results);
+    } else if (decision === "notice") {
+      console.log(
+        `📭 Job notice (${parsed.notice}), found: ${
+          parsed.found.join(", ") || "nothing"
+        }`
+      );
+      if (this.noticeHandler) {
+        await this.noticeHandler({
+          kind: parsed.notice,
+          details: details || {},
+          subject,
+        });
+      }
+      await this.markAsRead(id);
+    } else if (decision === "past_date") {
+      // Nothing left to apply for — don't re-fetch it on every poll
+      console.log(
+        `⏭️ Job date ${details.date} is before the mail was received, skipping`
+      );
+      this.skip(mail, parsed.pastJobs, "past");
+      await this.markAsRead(id);
+    } else if (decision !== "skipped") {
+      const reason = decision;
+      console.log(
+        `🧪 Quarantining email ${id} (${reason}, confidence ${
+          parsed.confidence
+        }, found: ${parsed.found.join(", ") || "nothing"})`
+      );
+      console.log("🧵 Email subject:", subject);
+
+      if (body === null) body = await mail.getBody();
+      this.quarantine.add({
+        uid: id,
+        mailbox,
+        subject,
+        body,
+        internalDate,
+        reason,
+        confidence: parsed.confidence,
+        found: parsed.found,
+        grammar: parsed.grammar,
+      });
+      await this.markAsRead(id); // parked — retry via /quarantine
+      return "unparsed";
+    }
+    return null;
+  }
+
+  // Policy "quarantine": park it for review (release with force); "reject": drop it
+  async handleUnauthenticated(mail, parsed, auth, body) {
+    const { id, mailbox, subject, internalDate, headers } = mail;
+    const from = getHeader(headers, "from");
+    const action = this.senderAuth.mode;
+    console.warn(
+      `🚨 Email ${id} from ${from || "unknown"} failed sender authentication (${
+        auth.reason
+      }), ${action === "reject" ? "rejecting" : "quarantining"}`
+    );
+
+    if (action === "quarantine") {
+      this.quarantine.add({
+        uid: id,
+        mailbox,
+        subject,
+        body,
+        internalDate,
+        reason: "sender_auth",
+        confidence: parsed.confidence,
+        found: parsed.found,
+        grammar: parsed.grammar,
+        auth: { from, reason: auth.reason },
+      });
+    }
+    await this.markAsRead(id);
+    await this.notifier.sendAuthAlert({
+      subject,
+      from,
+      reason: auth.reason,
+      action,
+    });
+    return action === "quarantine" ? "unparsed" : null;
+  }
+
+  // What checkForNewEmails does with a parse result (also used by the replay tool):
+  // "notice" | "apply" | "past_date" | "skipped" | "low_confidence" | "unparsed"
+  classifyParse(parsed) {
+    if (parsed.notice) return "notice";
+    if (parsed.complete && parsed.confidence >= this.minConfidence) {
+      return "apply";
+    }
+    if (parsed.rejected === "past_date") return "past_date";
+    if (parsed.skipped) return "skipped";
+    return parsed.complete ? "low_confidence" : "unparsed";
+  }
+
+  // handler({ kind, details, subject }) for mails about an already known job
+  setNoticeHandler(handler) {
+    this.noticeHandler = handler;
+  }
+
+  // reason: "poll" | "idle" | "startup" | "manual" | ... (logged in stats)
+  requestScan(reason) {
+    if (!this.jobHandler) {
+      console.warn(`⚠️ No jobHandler available for ${reason} scan`);
+      return Promise.resolve();
+    }
+    return this.scheduler.request(reason);
+  }
+
+  async startPolling(jobHandler) {
+    console.log(`🔍 Starting email polling every ${this.pollingFrequency}ms`);
+
+    if (jobHandler && !this.jobHandler) {
+      this.jobHandler = jobHandler;
+    }
+
+    if (this.pollingInterval) clearInterval(this.pollingInterval);
+    this.pollingInterval = setInterval(() => {
+      this.requestScan("poll").catch((err) =>
+        console.error("❌ Error during email polling:", err)
+      );
+    }, this.pollingFrequency);
+
+    await this.requestScan("startup");
+  }
+
+  stopPolling() {
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+      this.pollingInterval = null;
+      console.log("⏹️ Email polling stopped");
+    }
+  }
+
+  reconnectsItself() {
+    return false;
+  }
+
+  // extra lines for the test mail (server details)
+  transportInfo() {
+    return "";
+  }
+
+  async sendSuccessNotification(successfulJobs, responseTime, jobs = []) {
+    if (!this.transporter) return;
+    try {
+      await this.transporter.sendMail({
+        from: this.address,
+        to: this.address,
+        subject: `✅ Job Applications Successful - ${successfulJobs.length} jobs`,
+        text: `Success! Applied to ${
+          successfulJobs.length
+        } jobs in ${responseTime}ms.
+
+Job IDs: ${successfulJobs.join(", ")}
+${formatJobLines(jobs)}Response time: ${responseTime}ms
+Timestamp: ${new Date().toISOString()}
+`,
+      });
+      console.log("✅ Success notification sent");
+    } catch (e) {
+      console.error("❌ Failed to send success notification:", e);
+    }
+  }
+
+  // status: "confirmed" | "declined" | "cancelled"; previous is missing when
+  // the mail matched none of our applications
+  async sendAssignmentNotification(status, job, { previous, subject } = {}) {
+    if (!this.transporter) return;
+    const icon = status === "confirmed" ? "🎉" : "📭";
+    try {
+      await this.transporter.sendMail({
+        from: this.address,
+        to: this.address,
+        subject: `${icon} Job ${status} - ${describeRef(job)}`,
+        text: `The platform reported the job as ${status}.
+
+Job: ${describeRef(job)}
+Status: ${
+          previous
+            ? `${previous} → ${status}`
+            : `${status} (no matching application)`
+        }
+Mail subject: ${subject || "-"}
+
+Timestamp: ${new Date().toISOString()}
+`,
+      });
+      console.log("📧 Assignment notification sent");
+    } catch (e) {
+      console.error("❌ Failed to send assignment notification:", e);
+    }
+  }
+
+  async sendErrorNotification(error, jobIds, jobs = []) {
+    if (!this.transporter) return;
+    try {
+      await this.transporter.sendMail({
+        from: this.address,
+        to: this.address,
+        subject: `❌ Job Application Error - ${jobIds.length} jobs failed`,
+        text: `Error occurred while processing jobs:
+
+Job IDs: ${jobIds.join(", ")}
+${formatJobLines(jobs)}Error: ${error.message}
+Stack: ${error.stack}
+
+Timestamp: ${new Date().toISOString()}
+`,
+      });
+      console.log("📧 Error notification sent");
+    } catch (e) {
+      console.error("❌ Failed to send error notification:", e);
+    }
+  }
+
+  // A job mail failed DKIM/SPF/DMARC; action: "quarantine" | "reject"
+  async sendAuthAlert({ subject, from, reason, action }) {
+    if (!this.transporter) return;
+    try {
+      await this.transporter.sendMail({
+        from: this.address,
+        to: this.address,
+        subject: `🚨 Unauthenticated job mail ${
+          action === "reject" ? "rejected" : "quarantined"
+        }`,
+        text: `A mail claiming to be from the platform failed sender authentication.
+
+From: ${from || "-"}
+Subject: ${subject || "-"}
+Reason: ${reason}
+Action: ${action}${
+          action === "quarantine"
+            ? " (see GET /quarantine; release with force if it is genuine)"
+            : ""
+        }
+
+Timestamp: ${new Date().toISOString()}
+`,
+      });
+      console.log("📧 Sender authentication alert sent");
+    } catch (e) {
+      console.error("❌ Failed to send sender authentication alert:", e);
+    }
+  }
+
+  // policy: the backlog limits of the account that skipped the mails
+  async sendBacklogSummary(skipped, policy = this.backlog) {
+    if (!this.transporter) return;
+    const label = { stale: "mail too old", past: "job already started" };
+    const lines = skipped.map(
+      ({ job, reason, subject }) =>
+        `- ${job ? describeJob(job) : subject} (${label[reason] || reason})`
+    );
+    try {
+      await this.transporter.sendMail({
+        from: this.address,
+        to: this.address,
+        subject: `⏭️ ${skipped.length} job(s) skipped`,
+        text: `These jobs were not applied to (MAIL_MAX_AGE_HOURS=${
+          policy.maxAgeHours
+        }, MAIL_SKIP_PAST_JOBS=${policy.skipPastJobs}):
+
+${lines.join("\n")}
+
+Timestamp: ${new Date().toISOString()}
+`,
+      });
+      console.log("📧 Skipped jobs summary sent");
+    } catch (e) {
+      console.error("❌ Failed to send skipped jobs summary:", e);
+    }
+  }
+
+  async sendTestEmail() {
+    if (!this.transporter) throw new Error("Mail transport not initialized");
+    await this.transporter.sendMail({
+      from: this.address,
+      to: this.address,
+      subject: "🧪 Test Email - Umzugshilfe Bot",
+      text: `This is a test email from your Umzugshilfe job application bot.
+
+${this.transportInfo()}Email: ${this.address}
+
+Timestamp: ${new Date().toISOString()}
+`,
+    });
+    console.log("📧 Test email sent successfully");
+  }
+}
+
+module.exports = { JobMailSource, cleanSubject, outcomeOf };
@@ -0,0 +1,126 @@
+// job-record.js - The job record passed watcher → handleNewJob → automator → notifications
+
+/**
+ * @typedef {Object} JobRecord
+ * @property {string} date           - "DD.MM.YYYY"
+ * @property {string} time           - start, "HH:MM"
+ * @property {string} zip            - 5-digit PLZ
+ * @property {string} city           - may be empty; canonical name from the PLZ table
+ * @property {string} [endTime]      - "HH:MM"
+ * @property {number} [durationHours]
+ * @property {string} [jobNumber]    - platform job number ("#12345" → "12345")
+ * @property {number} [helpersNeeded]
+ * @property {number} [hourlyRate]   - EUR per hour
+ * @property {string} [jobType]      - "Umzug", "Entrümpelung", ...
+ * @property {string} [placeIssue]   - "repaired" | "mismatch" | "unknown_zip" (see plz.js)
+ * @property {string} [cityRaw]      - city as parsed, when the PLZ check changed it
+ */
+
+// Most specific first: "Umzugshelfer" would otherwise swallow everything
+const JOB_TYPES = [
+  [
+    /entrümpel|entruempel|haushaltsauflösung|wohnungsauflösung/i,
+    "Entrümpelung",
+  ],
+  [/möbelmontage|moebelmontage|montage/i, "Montage"],
+  [/beiladung|transport|lieferung/i, "Transport"],
+  [/packhilfe|einpacken|auspacken|\bpacken\b/i, "Packhilfe"],
+  [/reinigung|putzen/i, "Reinigung"],
+  [/entladen|beladen|verladen|ladehilfe/i, "Ladehilfe"],
+  [/umzug/i, "Umzug"],
+];
+
+const toNumber = (raw) => parseFloat(String(raw).replace(",", "."));
+
+// TEXT → { jobNumber, helpersNeeded, hourlyRate, jobType } (null when absent)
+function extractJobAttributes(text) {
+  const s = String(text || "").replace(/\s+/g, " ");
+  let m;
+
+  let jobNumber = null;
+  if (
+    (m = s.match(/#\s?(\d{4,7})\b/)) ||
+    (m = s.match(
+      /\b(?:job|auftrags?)[-\s]?(?:nr\.?|nummer)\s*:?\s*(\d{4,7})\b/i
+    ))
+  ) {
+    jobNumber = m[1];
+  }
+
+  let helpersNeeded = null;
+  if (
+    (m = s.match(/\b(\d{1,2})\s+(?:Umzugs)?helfer(?:innen|in)?\b/i)) ||
+    (m = s.match(/\b(?:anzahl\s+)?helfer(?:innen)?\s*:\s*(\d{1,2})\b/i))
+  ) {
+    helpersNeeded = parseInt(m[1], 10) || null;
+  }
+
+  let hourlyRate = null;
+  if (
+    (m = s.match(
+      /(\d{1,3}(?:[.,]\d{1,2})?)\s*(?:€|EUR|Euro)\s*(?:\/|pro|je)\s*(?:Std\b\.?|Stunde\b|h\b)/i
+    )) ||
+    (m = s.match(
+      /stundenlohn\s*:?\s*(\d{1,3}(?:[.,]\d{1,2})?)\s*(?:€|EUR|Euro)?/i
+    ))
+  ) {
+    hourlyRate = toNumber(m[1]);
+  }
+
+  const type = JOB_TYPES.find(([re]) => re.test(s));
+
+  return {
+    jobNumber,
+    helpersNeeded,
+    hourlyRate,
+    jobType: type ? type[1] : null,
+  };
+}
+
+// Stable key shared by de-duplication, stats and notifications
+const jobKeyOf = (job) => `${job.date}_${job.time}_${job.zip}`;
+
+// Does a (possibly partial) reference from a notice mail point at this job?
+// Job numbers decide when both sides have one; else date + zip (+ time if known)
+function sameJob(job, ref) {
+  if (!job || !ref) return false;
+  if (job.jobNumber && ref.jobNumber) return job.jobNumber === ref.jobNumber;
+  if (!ref.date || !ref.zip) return false;
+  return (
+    job.date === ref.date &&
+    job.zip === ref.zip &&
+    (!ref.time || job.time === ref.time)
+  );
+}
+
+// One human-readable line for logs and notification mails
+function describeJob(job) {
+  if (!job) return "";
+  const parts = [
+    `${job.date} ${job.time}${job.endTime ? `-${job.endTime}` : ""}`,
+    `${job.zip}${job.city ? ` ${job.city}` : ""}`,
+  ];
+  if (job.jobNumber) parts.unshift(`#${job.jobNumber}`);
+  if (job.jobType) parts.push(job.jobType);
+  if (job.helpersNeeded) parts.push(`${job.helpersNeeded} Helfer`);
+  if (job.durationHours) parts.push(`~${job.durationHours} Std.`);
+  if (job.hourlyRate) parts.push(`${job.hourlyRate.toFixed(2)} €/Std.`);
+  return parts.join(" · ");
+}
+
+// Label for a partial reference from a notice mail ("#12345", "18.10.2025 50667")
+function describeRef(ref) {
+  if (!ref) return "";
+  if (ref.date && ref.time && ref.zip) return describeJob(ref);
+  return [ref.jobNumber && `#${ref.jobNumber}`, ref.date, ref.time, ref.zip]
+    .filter(Boolean)
+    .join(" ");
+}
+
+module.exports = {
+  extractJobAttributes,
+  jobKeyOf,
+  sameJob,
+  describeJob,
+  describeRef,
+};
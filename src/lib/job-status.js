@@ -0,0 +1,86 @@
+// job-status.js - Persistent status of the jobs we applied for
+// applied → confirmed | declined | cancelled, driven by the platform's follow-up mails
+
+const { JsonStore } = require("./json-store");
+const { jobKeyOf, sameJob } = require("./job-record");
+
+const MAX_ENTRIES = 1000;
+const STATUSES = ["applied", "confirmed", "declined", "cancelled"];
+
+class JobStatusStore {
+  constructor(fileName = "job-status.json") {
+    this.store = new JsonStore(fileName, { entries: [] });
+    this.entries = this.store.load().entries || [];
+  }
+
+  // A successful apply; re-applying to a known job resets it to "applied"
+  markApplied(job) {
+    const key = jobKeyOf(job);
+    const existing = this.entries.find((e) => e.key === key);
+    if (existing) {
+      return this.setStatus(existing, "applied");
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      key,
+      job,
+      status: "applied",
+      appliedAt: now,
+      updatedAt: now,
+      history: [{ status: "applied", at: now }],
+    };
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries = this.entries.slice(-MAX_ENTRIES);
+    }
+    this._persist();
+    return entry;
+  }
+
+  // most recent entry the (possibly partial) reference points at
+  find(ref) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (sameJob(this.entries[i].job, ref)) return this.entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} entry - as returned by find/markApplied
+   * @param {string} status - one of STATUSES
+   * @param {string} [subject] - mail that caused the change
+   */
+  setStatus(entry, status, subject) {
+    if (!STATUSES.includes(status)) throw new Error(`Unknown status ${status}`);
+    const at = new Date().toISOString();
+    entry.status = status;
+    entry.updatedAt = at;
+    entry.history.push(subject ? { status, at, subject } : { status, at });
+    this._persist();
+    return entry;
+  }
+
+  list(status) {
+    return status
+      ? this.entries.filter((e) => e.status === status)
+      : this.entries.slice();
+  }
+
+  // { applied: n, confirmed: n, ... }
+  counts() {
+    const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const e of this.entries) counts[e.status] += 1;
+    return counts;
+  }
+
+  _persist() {
+    try {
+      this.store.save({ entries: this.entries });
+    } catch (err) {
+      console.error("❌ Failed to persist job status:", err.message);
+    }
+  }
+}
+
+module.exports = { JobStatusStore, STATUSES };
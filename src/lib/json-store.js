@@ -0,0 +1,39 @@
+// json-store.js - Tiny persistent JSON file store (quarantine, mailbox state, ...)
+
+const fs = require("fs");
+const path = require("path");
+
+// Where the bot keeps state that must survive restarts
+const DATA_DIR = path.resolve(
+  process.env.DATA_DIR || path.join(process.cwd(), "data")
+);
+
+class JsonStore {
+  constructor(fileName, defaults = {}) {
+    this.file = path.isAbsolute(fileName)
+      ? fileName
+      : path.join(DATA_DIR, fileName);
+    this.defaults = defaults;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`❌ Could not read ${this.file}:`, err.message);
+      }
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+  }
+
+  // write-then-rename so a crash never leaves half a file behind
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { JsonStore, DATA_DIR };
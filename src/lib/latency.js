@@ -0,0 +1,136 @@
+// latency.js - Where the seconds go between a job mail and an accepted job
+//
+// Every job carries a trace of timestamps (ms) taken along the way:
+//   sent      mail Date header (the platform's clock)
+//   received  IMAP INTERNALDATE / Gmail internalDate (our provider's clock)
+//   noticed   IDLE notification, poll tick or webhook request that found it
+//   fetched   headers fetched
+//   parsed    subject (and body) parsed
+//   queued    handed to handleNewJob
+//   started   apply started (after waiting behind another job)
+//   listed    Meine Jobs list fetched
+//   posted    accept form POSTed
+//   verified  automator answered
+// A stage is the gap between two marks; /stats reports percentiles per stage.
+
+const { JsonStore } = require("./json-store");
+
+const MAX_TRACES = 500;
+
+// [stage, from mark, to mark]
+const STAGES = [
+  ["delivery", "sent", "received"],
+  ["notify", "received", "noticed"],
+  ["fetch", "noticed", "fetched"],
+  ["parse", "fetched", "parsed"],
+  ["handoff", "parsed", "queued"],
+  ["queueWait", "queued", "started"],
+  ["listFetch", "started", "listed"],
+  ["post", "listed", "posted"],
+  ["verify", "posted", "verified"],
+  ["total", "received", "verified"],
+];
+
+const PERCENTILES = [50, 90, 99];
+
+class JobTrace {
+  /**
+   * @param {Object<string, Date|number>} marks
+   * @param {string} [via] - what noticed the mail (idle, poll, webhook, ...)
+   */
+  constructor(marks = {}, via = null) {
+    this.marks = {};
+    this.via = via;
+    for (const [name, at] of Object.entries(marks)) this.mark(name, at);
+  }
+
+  mark(name, at = Date.now()) {
+    const ms = at instanceof Date ? at.getTime() : at;
+    if (Number.isFinite(ms)) this.marks[name] = ms;
+    return this;
+  }
+
+  // one copy per job when a mail lists several
+  fork() {
+    return new JobTrace(this.marks, this.via);
+  }
+
+  // → { stage: ms } for every stage whose two marks were taken
+  stages() {
+    const out = {};
+    for (const [stage, from, to] of STAGES) {
+      if (this.marks[from] === undefined || this.marks[to] === undefined)
+        continue;
+      // second-resolution mail dates and clock skew can put a mark
+      // slightly before its predecessor
+      out[stage] = Math.max(0, this.marks[to] - this.marks[from]);
+    }
+    return out;
+  }
+}
+
+// nearest-rank percentile of an ascending list
+const percentile = (sorted, p) =>
+  sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+class LatencyLog {
+  constructor(fileName = "latency.json") {
+    this.store = new JsonStore(fileName, { traces: [] });
+    this.traces = this.store.load().traces || [];
+  }
+
+  /**
+   * @param {JobTrace} trace
+   * @param {{ job: string, outcome: string }} info
+   */
+  record(trace, { job, outcome }) {
+    const entry = {
+      at: new Date().toISOString(),
+      job,
+      outcome,
+      via: trace.via,
+      marks: trace.marks,
+      stages: trace.stages(),
+    };
+    this.traces.push(entry);
+    if (this.traces.length > MAX_TRACES) {
+      this.traces = this.traces.slice(-MAX_TRACES);
+    }
+    this._persist();
+
+    const parts = Object.entries(entry.stages).map(([s, ms]) => `${s} ${ms}ms`);
+    console.log(`⏱️ ${job}: ${parts.join(", ")}`);
+    return entry;
+  }
+
+  recent(limit = 20) {
+    return this.traces.slice(-limit);
+  }
+
+  // → { jobs, stages: { stage: { count, p50, p90, p99, max } } } in ms
+  summary() {
+    const stages = {};
+    for (const [stage] of STAGES) {
+      const values = this.traces
+        .map((t) => t.stages[stage])
+        .filter((v) => v !== undefined)
+        .sort((a, b) => a - b);
+      if (!values.length) continue;
+      const row = { count: values.length };
+      for (const p of PERCENTILES) row[`p${p}`] = percentile(values, p);
+      row.max = values[values.length - 1];
+      stages[stage] = row;
+    }
+    return { jobs: this.traces.length, stages };
+  }
+
+  _persist() {
+    try {
+      this.store.save({ traces: this.traces });
+    } catch (err) {
+      console.error("❌ Failed to persist latency traces:", err.message);
+    }
+  }
+}
+
+module.exports = { JobTrace, LatencyLog, STAGES };
@@ -0,0 +1,451 @@
+// mail-config.js - IMAP/SMTP endpoints, watched folders and TLS settings from env
+//
+// Known providers are picked from MAIL_PROVIDER or the EMAIL_ADDRESS domain;
+// IMAP_* / SMTP_* override single values, anything else needs IMAP_HOST + SMTP_HOST.
+
+const fs = require("fs");
+
+// security: "tls" = implicit TLS, "starttls" = upgrade after connect, "none"
+const PROVIDERS = {
+  gmail: {
+    domains: ["gmail.com", "googlemail.com"],
+    imap: { host: "imap.gmail.com", port: 993, security: "tls" },
+    smtp: [
+      { host: "smtp.gmail.com", port: 587, security: "starttls" },
+      { host: "smtp.gmail.com", port: 465, security: "tls" },
+    ],
+    // authserv-id Gmail writes into Authentication-Results
+    authServers: ["mx.google.com"],
+  },
+  gmx: {
+    domains: ["gmx.de", "gmx.net", "gmx.at", "gmx.ch"],
+    imap: { host: "imap.gmx.net", port: 993, security: "tls" },
+    smtp: [
+      { host: "mail.gmx.net", port: 587, security: "starttls" },
+      { host: "mail.gmx.net", port: 465, security: "tls" },
+    ],
+  },
+  webde: {
+    domains: ["web.de"],
+    imap: { host: "imap.web.de", port: 993, security: "tls" },
+    smtp: [{ host: "smtp.web.de", port: 587, security: "starttls" }],
+  },
+  posteo: {
+    domains: ["posteo.de", "posteo.net"],
+    imap: { host: "posteo.de", port: 993, security: "tls" },
+    smtp: [
+      { host: "posteo.de", port: 587, security: "starttls" },
+      { host: "posteo.de", port: 465, security: "tls" },
+    ],
+  },
+};
+
+const SECURITY = ["tls", "starttls", "none"];
+const SORT_MODES = ["off", "move", "copy"];
+const AUTH_POLICIES = ["off", "quarantine", "reject"];
+const AUTH_METHODS = ["dkim", "spf", "dmarc"];
+const LOGIN_METHODS = ["auto", "oauth2", "password"];
+const BACKLOG_ORDERS = ["newest", "soonest", "arrival"];
+
+const list = (v) =>
+  String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function providerFor(env) {
+  const name = String(env.MAIL_PROVIDER || "").toLowerCase();
+  if (name) return { name, preset: PROVIDERS[name] || null };
+
+  const domain = String(env.EMAIL_ADDRESS || "")
+    .split("@")[1]
+    ?.toLowerCase();
+  const hit = Object.entries(PROVIDERS).find(([, p]) =>
+    p.domains.includes(domain)
+  );
+  if (hit) return { name: hit[0], preset: hit[1] };
+  // unknown domains (e.g. Google Workspace) keep the old Gmail default,
+  // unless a host is given — then it's a custom server and needs both
+  return env.IMAP_HOST || env.SMTP_HOST
+    ? { name: "custom", preset: null }
+    : { name: "gmail", preset: PROVIDERS.gmail };
+}
+
+// nodemailer / imap want different flags for the same three modes
+const smtpSecurity = (security) => ({
+  secure: security === "tls",
+  requireTLS: security === "starttls",
+  ignoreTLS: security === "none",
+});
+const imapSecurity = (security) => ({
+  tls: security === "tls",
+  autotls: security === "starttls" ? "required" : "never",
+});
+
+// Audit trail: processed mails are moved/copied by outcome (Gmail: labels)
+function loadSortConfig(env = process.env) {
+  return {
+    mode: String(env.MAIL_SORT_MODE || "off").toLowerCase(),
+    folders: {
+      applied: env.MAIL_FOLDER_APPLIED || "Bot/Applied",
+      failed: env.MAIL_FOLDER_FAILED || "Bot/Failed",
+      unparsed: env.MAIL_FOLDER_UNPARSED || "Bot/Unparsed",
+      duplicate: env.MAIL_FOLDER_DUPLICATE || "Bot/Duplicate",
+      pending: env.MAIL_FOLDER_PENDING || "Bot/Pending",
+    },
+  };
+}
+
+// watched: folders (IMAP) or labels (Gmail) the sort targets must not overlap
+function sortConfigErrors(sort, watched) {
+  const errors = [];
+  if (!SORT_MODES.includes(sort.mode)) {
+    errors.push(
+      `Invalid MAIL_SORT_MODE "${sort.mode}" (${SORT_MODES.join("|")})`
+    );
+  }
+  const watchedSortFolder = Object.values(sort.folders).find((f) =>
+    watched.includes(f)
+  );
+  if (sort.mode !== "off" && watchedSortFolder) {
+    errors.push(`${watchedSortFolder} is both watched and a sort target`);
+  }
+  return errors;
+}
+
+// What to do with job mails that fail DKIM/SPF/DMARC (see sender-auth.js)
+function loadSenderAuthPolicy(env = process.env) {
+  return {
+    mode: String(env.MAIL_AUTH_POLICY || "quarantine").toLowerCase(),
+    domain: String(
+      env.MAIL_AUTH_DOMAIN || "studenten-umzugshilfe.com"
+    ).toLowerCase(),
+    methods: list(env.MAIL_AUTH_METHODS || "dkim,dmarc,spf").map((m) =>
+      m.toLowerCase()
+    ),
+    // authserv-ids of our receiving servers (Gmail: mx.google.com)
+    servers: (env.MAIL_AUTH_SERVERS
+      ? list(env.MAIL_AUTH_SERVERS)
+      : providerFor(env).preset?.authServers || []
+    ).map((s) => s.toLowerCase()),
+  };
+}
+
+function senderAuthErrors(policy) {
+  const errors = [];
+  if (!AUTH_POLICIES.includes(policy.mode)) {
+    errors.push(
+      `Invalid MAIL_AUTH_POLICY "${policy.mode}" (${AUTH_POLICIES.join("|")})`
+    );
+  }
+  const unknown = policy.methods.filter((m) => !AUTH_METHODS.includes(m));
+  if (unknown.length || !policy.methods.length) {
+    errors.push(
+      `Invalid MAIL_AUTH_METHODS "${policy.methods.join(
+        ","
+      )}" (any of ${AUTH_METHODS.join(", ")})`
+    );
+  }
+  // a header without a known authserv-id may have been written by the sender
+  if (policy.mode !== "off" && !policy.servers.length) {
+    errors.push(
+      `MAIL_AUTH_SERVERS must name the receiving server's authserv-id for MAIL_AUTH_POLICY=${policy.mode}`
+    );
+  }
+  return errors;
+}
+
+// Which waiting job mails are still worth acting on, and in what order
+// (matters after a restart or an outage, when a scan finds several)
+function loadBacklogPolicy(env = process.env) {
+  return {
+    // offers older than this are skipped (0 = no cutoff)
+    maxAgeHours: parseFloat(env.MAIL_MAX_AGE_HOURS || "24"),
+    // drop jobs whose start has already passed
+    skipPastJobs:
+      String(env.MAIL_SKIP_PAST_JOBS || "true").toLowerCase() !== "false",
+    // newest mail first | soonest job first | arrival (UID) order
+    order: String(env.MAIL_BACKLOG_ORDER || "newest").toLowerCase(),
+  };
+}
+
+function backlogPolicyErrors(policy) {
+  const errors = [];
+  if (!(policy.maxAgeHours >= 0)) {
+    errors.push("Invalid MAIL_MAX_AGE_HOURS (hours, 0 = no cutoff)");
+  }
+  if (!BACKLOG_ORDERS.includes(policy.order)) {
+    errors.push(
+      `Invalid MAIL_BACKLOG_ORDER "${policy.order}" (${BACKLOG_ORDERS.join(
+        "|"
+      )})`
+    );
+  }
+  return errors;
+}
+
+/**
+ * @param {Object} [env=process.env] - plain key/value source (one account)
+ * @returns {{ provider: string, login: string, oauth: Object|null, folders: string[], sort: { mode: string, folders: Object }, senderAuth: Object, backlog: Object, tls: Object, imap: Object, imapSecurity: string, smtp: Object, smtpFallbacks: Object[], caFile: string|null, errors: string[] }}
+ */
+function loadMailConfig(env = process.env) {
+  const errors = [];
+  const { name: provider, preset } = providerFor(env);
+  if (!preset && !(env.IMAP_HOST && env.SMTP_HOST)) {
+    errors.push(
+      `No preset for mail provider "${provider}" (known: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}); set both IMAP_HOST and SMTP_HOST`
+    );
+  }
+
+  const user = env.EMAIL_ADDRESS;
+  const pass = env.EMAIL_PASSWORD;
+
+  // XOAUTH2 with the Gmail OAuth client when it is configured, app password otherwise
+  const requested = String(env.EMAIL_AUTH || "auto").toLowerCase();
+  const oauthConfigured = !!(
+    env.GMAIL_CLIENT_ID &&
+    env.GMAIL_CLIENT_SECRET &&
+    env.GMAIL_REFRESH_TOKEN
+  );
+  if (!LOGIN_METHODS.includes(requested)) {
+    errors.push(
+      `Invalid EMAIL_AUTH "${requested}" (${LOGIN_METHODS.join("|")})`
+    );
+  } else if (requested === "oauth2" && !oauthConfigured) {
+    errors.push(
+      "EMAIL_AUTH=oauth2 needs GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET and GMAIL_REFRESH_TOKEN"
+    );
+  }
+  const login =
+    requested === "oauth2" ||
+    (requested === "auto" && oauthConfigured && provider === "gmail")
+      ? "oauth2"
+      : "password";
+  const oauth =
+    login === "oauth2"
+      ? {
+          user,
+          clientId: env.GMAIL_CLIENT_ID,
+          clientSecret: env.GMAIL_CLIENT_SECRET,
+          refreshToken: env.GMAIL_REFRESH_TOKEN,
+        }
+      : null;
+  // nodemailer refreshes OAuth2 access tokens by itself
+  const smtpAuth = oauth ? { type: "OAuth2", ...oauth } : { user, pass };
+
+  // TLS verification is on unless explicitly disabled; a CA bundle covers self-hosted certs
+  const caFile = env.MAIL_TLS_CA_FILE || null;
+  let ca;
+  if (caFile) {
+    try {
+      ca = fs.readFileSync(caFile);
+    } catch (err) {
+      errors.push(`MAIL_TLS_CA_FILE ${caFile} is not readable: ${err.message}`);
+    }
+  }
+  const rejectUnauthorized = env.MAIL_TLS_REJECT_UNAUTHORIZED !== "false";
+  const tlsFor = (host) => ({
+    rejectUnauthorized,
+    servername: host,
+    ...(ca ? { ca } : {}),
+  });
+
+  const imapBase = (preset && preset.imap) || {};
+  const imapHost = env.IMAP_HOST || imapBase.host;
+  const imapPort = parseInt(env.IMAP_PORT || imapBase.port || "993", 10);
+  const imapSec = (
+    env.IMAP_SECURITY ||
+    imapBase.security ||
+    "tls"
+  ).toLowerCase();
+
+  // SMTP_HOST/SMTP_PORT first, then the provider's endpoints as fallbacks
+  const presetSmtp = (preset && preset.smtp) || [];
+  const smtpEndpoints = [];
+  if (env.SMTP_HOST || env.SMTP_PORT) {
+    const port = parseInt(env.SMTP_PORT || "587", 10);
+    const security = (
+      env.SMTP_SECURITY ||
+      (env.EMAIL_SECURE === "true" || port === 465 ? "tls" : "starttls")
+    ).toLowerCase();
+    smtpEndpoints.push({
+      host: env.SMTP_HOST || (presetSmtp[0] && presetSmtp[0].host),
+      port,
+      security,
+    });
+  }
+  if (!env.SMTP_HOST) smtpEndpoints.push(...presetSmtp);
+
+  const smtpFallbacks = smtpEndpoints.map(({ host, port, security }) => ({
+    name: `${host}:${port} (${security})`,
+    config: {
+      host,
+      port,
+      ...smtpSecurity(security),
+      auth: smtpAuth,
+      tls: tlsFor(host),
+      connectionTimeout: 10000,
+      greetingTimeout: 5000,
+      socketTimeout: 10000,
+    },
+    security,
+  }));
+  const smtp = smtpFallbacks.length
+    ? smtpFallbacks[0].config
+    : { host: undefined, port: undefined, auth: smtpAuth };
+
+  const folders = list(env.IMAP_FOLDERS || "INBOX");
+
+  const sort = loadSortConfig(env);
+  const senderAuth = loadSenderAuthPolicy(env);
+
+  return {
+    provider,
+    login,
+    oauth,
+    folders,
+    sort,
+    senderAuth,
+    backlog: loadBacklogPolicy(env),
+    caFile,
+    tls: { rejectUnauthorized },
+    imap: {
+      user: env.IMAP_USER || user,
+      // with OAuth the watcher adds a fresh xoauth2 token on every connect
+      password: oauth ? undefined : env.IMAP_PASSWORD || pass,
+      host: imapHost,
+      port: imapPort,
+      ...imapSecurity(imapSec),
+      tlsOptions: tlsFor(imapHost),
+      keepalive: true,
+    },
+    imapSecurity: imapSec,
+    smtp,
+    smtpFallbacks,
+    errors,
+  };
+}
+
+// Settings every account inherits unless it sets its own
+// (one Google OAuth client serves every account; refresh tokens are per account)
+const SHARED_KEYS = [
+  "MAIL_TLS_CA_FILE",
+  "MAIL_TLS_REJECT_UNAUTHORIZED",
+  "GMAIL_CLIENT_ID",
+  "GMAIL_CLIENT_SECRET",
+  "PARSE_MIN_CONFIDENCE",
+  "MAIL_MAX_ATTEMPTS",
+  "MAIL_RETRY_BASE_MS",
+  "MAIL_AUTH_POLICY",
+  "MAIL_AUTH_METHODS",
+  "MAIL_AUTH_DOMAIN",
+  "MAIL_AUTH_SERVERS",
+  "MAIL_MAX_AGE_HOURS",
+  "MAIL_SKIP_PAST_JOBS",
+  "MAIL_BACKLOG_ORDER",
+  "MAIL_SORT_MODE",
+  "MAIL_FOLDER_APPLIED",
+  "MAIL_FOLDER_FAILED",
+  "MAIL_FOLDER_UNPARSED",
+  "MAIL_FOLDER_DUPLICATE",
+  "MAIL_FOLDER_PENDING",
+];
+
+/**
+ * Accounts to watch: MAIL_ACCOUNTS_FILE (JSON array of objects using the same
+ * keys as the env, plus an optional "name"), else the single env account.
+ * @returns {{ name: string, env: Object }[]}
+ */
+function loadAccounts(env = process.env) {
+  const file = env.MAIL_ACCOUNTS_FILE;
+  if (!file) return [{ name: env.EMAIL_ADDRESS || "default", env }];
+
+  let accounts;
+  try {
+    accounts = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`MAIL_ACCOUNTS_FILE ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(accounts) || !accounts.length) {
+    throw new Error(`MAIL_ACCOUNTS_FILE ${file} must hold a non-empty array`);
+  }
+
+  const shared = {};
+  for (const key of SHARED_KEYS) if (env[key]) shared[key] = env[key];
+
+  const names = new Set();
+  return accounts.map((account, i) => {
+    const name = String(account.name || account.EMAIL_ADDRESS || `#${i + 1}`);
+    if (names.has(name)) {
+      throw new Error(`MAIL_ACCOUNTS_FILE ${file}: duplicate account ${name}`);
+    }
+    names.add(name);
+    return { name, env: { ...shared, ...account } };
+  });
+}
+
+const validPort = (p) => Number.isInteger(p) && p > 0 && p < 65536;
+
+// Everything that would only fail later as a cryptic connect error
+function validateMailConfig(config) {
+  const errors = [...(config.errors || [])];
+  const { imap, imapSecurity, smtp, smtpFallbacks, folders } = config;
+
+  if (!smtp.auth.user) errors.push("EMAIL_ADDRESS must be configured");
+  if (!config.oauth && !smtp.auth.pass) {
+    errors.push(
+      "EMAIL_PASSWORD (or the GMAIL_* OAuth credentials) must be configured"
+    );
+  }
+  if (!imap.host) errors.push("IMAP host is missing (IMAP_HOST)");
+  if (!validPort(imap.port)) errors.push(`Invalid IMAP port ${imap.port}`);
+  if (!SECURITY.includes(imapSecurity)) {
+    errors.push(
+      `Invalid IMAP_SECURITY "${imapSecurity}" (${SECURITY.join("|")})`
+    );
+  }
+  if (!smtpFallbacks.length) errors.push("No SMTP endpoint (SMTP_HOST)");
+  for (const { name, config: c, security } of smtpFallbacks) {
+    if (!c.host) errors.push(`SMTP host is missing for ${name}`);
+    if (!validPort(c.port)) errors.push(`Invalid SMTP port in ${name}`);
+    if (!SECURITY.includes(security)) {
+      errors.push(
+        `Invalid SMTP_SECURITY "${security}" (${SECURITY.join("|")})`
+      );
+    }
+  }
+  if (!folders.length) errors.push("IMAP_FOLDERS is empty");
+  errors.push(...sortConfigErrors(config.sort, folders));
+  errors.push(...senderAuthErrors(config.senderAuth));
+  errors.push(...backlogPolicyErrors(config.backlog));
+
+  if (errors.length) {
+    throw new Error(`Invalid mail configuration:\n - ${errors.join("\n - ")}`);
+  }
+  if (config.senderAuth.mode === "off") {
+    console.warn(
+      "⚠️ MAIL_AUTH_POLICY=off: job mails are acted on without sender authentication"
+    );
+  }
+  if (!config.tls.rejectUnauthorized) {
+    console.warn(
+      "⚠️ MAIL_TLS_REJECT_UNAUTHORIZED=false: mail server certificates are not verified"
+    );
+  }
+  return config;
+}
+
+module.exports = {
+  PROVIDERS,
+  loadMailConfig,
+  loadSortConfig,
+  sortConfigErrors,
+  loadSenderAuthPolicy,
+  senderAuthErrors,
+  loadBacklogPolicy,
+  backlogPolicyErrors,
+  loadAccounts,
+  validateMailConfig,
+};
@@ -0,0 +1,43 @@
+// mail-oauth.js - XOAUTH2 access tokens for IMAP, minted from the Gmail refresh token
+//
+// nodemailer refreshes its own tokens (auth.type "OAuth2"); node-imap only takes
+// a ready-made SASL string, so every (re)connect asks for a current token here.
+
+const { google } = require("googleapis");
+
+class OAuthTokenProvider {
+  /**
+   * @param {{ user: string, clientId: string, clientSecret: string, refreshToken: string }} oauth
+   */
+  constructor(oauth) {
+    this.user = oauth.user;
+    this.client = new google.auth.OAuth2(oauth.clientId, oauth.clientSecret);
+    this.client.setCredentials({ refresh_token: oauth.refreshToken });
+    this.client.on("tokens", () =>
+      console.log("🔐 OAuth access token refreshed")
+    );
+  }
+
+  // the client caches the token and refreshes it shortly before it expires
+  async accessToken() {
+    try {
+      const { token } = await this.client.getAccessToken();
+      if (!token) throw new Error("no access token returned");
+      return token;
+    } catch (err) {
+      // invalid_grant = refresh token revoked / expired; nothing a retry fixes
+      const detail = err.response?.data?.error || err.message;
+      throw new Error(`OAuth token refresh for ${this.user} failed: ${detail}`);
+    }
+  }
+
+  // base64("user=<user>\x01auth=Bearer <token>\x01\x01") for node-imap's xoauth2 option
+  async imapXoauth2(user = this.user) {
+    const token = await this.accessToken();
+    return Buffer.from(`user=${user}\x01auth=Bearer ${token}\x01\x01`).toString(
+      "base64"
+    );
+  }
+}
+
+module.exports = { OAuthTokenProvider };
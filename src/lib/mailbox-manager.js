@@ -0,0 +1,233 @@
+// mailbox-manager.js - Runs one mail source per account, all feeding the same handler
+//
+// Drop-in for a single EmailWatcher: same initialize/startPolling/notification API.
+// Each source keeps its own connection and reconnect backoff; a mail that
+// reaches several accounts (forwarding) is handled once, keyed by Message-ID.
+
+const { EmailWatcher } = require("./email-watcher-smtp-new");
+const { GmailSource } = require("./gmail-source");
+const { InboundMailSource } = require("./inbound-mail");
+const { loadAccounts } = require("./mail-config");
+const { MailboxState } = require("./mailbox-state");
+const { DeadLetterStore } = require("./dead-letters");
+
+// MAIL_SOURCE per account (see job-mail-source.js for the shared interface)
+const SOURCES = { imap: EmailWatcher, gmail: GmailSource };
+
+const MAX_SEEN_MESSAGES = 2000;
+
+class MailboxManager {
+  constructor(options = {}) {
+    this.seenMessageIds = new Map(); // Message-ID → "<account>/<folder>/<uid>"
+    this.retryTimers = new Map();
+    // one file for all accounts — separate instances would overwrite each other
+    this.mailboxState = options.mailboxState || new MailboxState();
+    this.deadLetters = options.deadLetters || new DeadLetterStore();
+
+    const shared = {
+      quarantine: options.quarantine,
+      mailboxState: this.mailboxState,
+      deadLetters: this.deadLetters,
+      isDuplicateMessage: (id, owner) => this.claimMessage(id, owner),
+      notifier: this,
+    };
+
+    this.watchers = (options.accounts || loadAccounts()).map(
+      ({ name, env }) => {
+        const kind = String(env.MAIL_SOURCE || "imap").toLowerCase();
+        const Source = SOURCES[kind];
+        if (!Source) {
+          throw new Error(
+            `Mailbox ${name}: unknown MAIL_SOURCE "${kind}" (${Object.keys(
+              SOURCES
+            ).join("|")})`
+          );
+        }
+        return new Source({ ...shared, env, name });
+      }
+    );
+    // mails pushed via POST /inbound/mail; deduped against the polled ones
+    this.inbound = new InboundMailSource(shared);
+  }
+
+  get primary() {
+    return this.watchers[0];
+  }
+
+  get minConfidence() {
+    return this.primary.minConfidence;
+  }
+
+  classifyParse(parsed) {
+    return this.primary.classifyParse(parsed);
+  }
+
+  // true if another mailbox already took this message
+  claimMessage(messageId, owner) {
+    if (!messageId) return false;
+    if (this.seenMessageIds.has(messageId)) {
+      return this.seenMessageIds.get(messageId) !== owner;
+    }
+    this.seenMessageIds.set(messageId, owner);
+    if (this.seenMessageIds.size > MAX_SEEN_MESSAGES) {
+      const oldest = this.seenMessageIds.keys().next().value;
+      this.seenMessageIds.delete(oldest);
+    }
+    return false;
+  }
+
+  async initialize() {
+    // A typo in one account should stop startup, not surface as a connect error
+    for (const w of [...this.watchers, this.inbound]) {
+      try {
+        w.validateConfig();
+      } catch (err) {
+        throw new Error(`Mailbox ${w.name}: ${err.message}`);
+      }
+    }
+
+    const results = await Promise.allSettled(
+      this.watchers.map((w) => w.initialize())
+    );
+    const failed = results
+      .map((r, i) => ({ ...r, watcher: this.watchers[i] }))
+      .filter((r) => r.status === "rejected");
+
+    if (failed.length === this.watchers.length) throw failed[0].reason;
+
+    for (const { watcher, reason } of failed) {
+      console.error(
+        `❌ Mailbox ${watcher.name} failed to start:`,
+        reason.message
+      );
+      watcher.lastError = reason.message;
+      if (!watcher.reconnectsItself()) this._retryInitialize(watcher);
+    }
+    console.log(
+      `✅ ${this.watchers.length - failed.length}/${
+        this.watchers.length
+      } mailbox(es) connected`
+    );
+  }
+
+  _retryInitialize(watcher) {
+    const delay = watcher.reconnectDelayMs;
+    watcher.reconnectDelayMs = Math.min(delay * 2, 60000);
+    console.warn(`🔄 Retrying mailbox ${watcher.name} in ${delay / 1000}s...`);
+
+    this.retryTimers.set(
+      watcher,
+      setTimeout(async () => {
+        this.retryTimers.delete(watcher);
+        try {
+          await watcher.initialize();
+          watcher.reconnectDelayMs = 5000;
+        } catch (err) {
+          watcher.lastError = err.message;
+          if (!watcher.reconnectsItself()) this._retryInitialize(watcher);
+        }
+      }, delay)
+    );
+  }
+
+  // Dead-lettered mail back into its mailbox's pending list (fresh retry budget)
+  // and scanned right away. → false if its account or mailbox is gone
+  requeueDeadLetter(id) {
+    const entry = this.deadLetters.get(id);
+    if (!entry) return null;
+    const source = this.watchers.find((w) => w.name === entry.account);
+    if (
+      !source ||
+      !this.mailboxState.requeue(source.stateKey(entry.mailbox), entry.uid)
+    ) {
+      return false;
+    }
+    this.deadLetters.remove(id);
+    console.log(
+      `🔁 Requeued dead-lettered email ${entry.uid} (${entry.account})`
+    );
+    source
+      .requestScan("manual")
+      .catch((err) =>
+        console.error("❌ Scan after dead-letter retry failed:", err.message)
+      );
+    return true;
+  }
+
+  setNoticeHandler(handler) {
+    this.watchers.forEach((w) => w.setNoticeHandler(handler));
+    this.inbound.setNoticeHandler(handler);
+  }
+
+  receiveRaw(raw, jobHandler) {
+    return this.inbound.receive(raw, jobHandler);
+  }
+
+  // manual trigger (POST /mailboxes/scan): every source, coalesced with running scans
+  async scanNow() {
+    const results = await Promise.allSettled(
+      this.watchers.map((w) => w.requestScan("manual"))
+    );
+    return results.map((r, i) => ({
+      name: this.watchers[i].name,
+      ok: r.status === "fulfilled",
+      error: r.status === "rejected" ? r.reason.message : undefined,
+    }));
+  }
+
+  async startPolling(jobHandler) {
+    await Promise.all(this.watchers.map((w) => w.startPolling(jobHandler)));
+  }
+
+  stop() {
+    for (const timer of this.retryTimers.values()) clearTimeout(timer);
+    this.retryTimers.clear();
+    this.watchers.forEach((w) => w.stop());
+  }
+
+  // every mailbox up; see status() for which one is not
+  isConnected() {
+    return this.watchers.every((w) => w.isConnected());
+  }
+
+  status() {
+    return this.watchers.map((w) => {
+      const status = w.status();
+      return {
+        ...status,
+        reconnecting: status.reconnecting || this.retryTimers.has(w),
+      };
+    });
+  }
+
+  // Notifications go out through the first account that can send (SMTP / Gmail API)
+  _notifier() {
+    return this.watchers.find((w) => w.transporter) || this.primary;
+  }
+
+  sendSuccessNotification(...args) {
+    return this._notifier().sendSuccessNotification(...args);
+  }
+
+  sendErrorNotification(...args) {
+    return this._notifier().sendErrorNotification(...args);
+  }
+
+  sendAssignmentNotification(...args) {
+    return this._notifier().sendAssignmentNotification(...args);
+  }
+
+  sendAuthAlert(...args) {
+    return this._notifier().sendAuthAlert(...args);
+  }
+
+  sendBacklogSummary(...args) {
+    return this._notifier().sendBacklogSummary(...args);
+  }
+
+  sendTestEmail(...args) {
+    return this._notifier().sendTestEmail(...args);
+  }
+}
+
+module.exports = { MailboxManager };
@@ -0,0 +1,108 @@
+// mailbox-state.js - Persistent UID high-water mark per watched mailbox
+// key "<account>/<folder>" → { uidValidity, lastUid, pending: [uid...] }
+//   lastUid - highest UID already looked at; the next scan searches lastUid+1:*
+//   pending - UIDs at or below lastUid whose processing threw, retried once due
+//   retries - uid → { attempts, nextAttemptAt, lastError, firstFailedAt }
+// Gmail API sources keep { historyId, pending: [message id...] } under "<account>/gmail"
+
+const { JsonStore } = require("./json-store");
+
+class MailboxState {
+  constructor(fileName = "mailbox-state.json") {
+    this.store = new JsonStore(fileName, { boxes: {} });
+    this.boxes = this.store.load().boxes || {};
+  }
+
+  get(key) {
+    return this.boxes[key] || null;
+  }
+
+  // First scan or UIDVALIDITY changed: old UIDs mean nothing any more
+  reset(key, uidValidity, lastUid) {
+    this.boxes[key] = {
+      uidValidity,
+      lastUid,
+      pending: [],
+      retries: {},
+      updatedAt: new Date().toISOString(),
+    };
+    this._persist();
+    return this.boxes[key];
+  }
+
+  // merge fields into a box (sources without UIDs keep their own cursor here)
+  update(key, fields) {
+    this.boxes[key] = {
+      pending: [],
+      ...this.boxes[key],
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    this._persist();
+    return this.boxes[key];
+  }
+
+  // pending UIDs whose backoff has run out
+  duePending(key, now = Date.now()) {
+    const box = this.boxes[key];
+    if (!box) return [];
+    const retries = box.retries || {};
+    return box.pending.filter(
+      (uid) => !retries[uid] || Date.parse(retries[uid].nextAttemptAt) <= now
+    );
+  }
+
+  markDone(key, uid) {
+    const box = this.boxes[key];
+    if (!box) return;
+    box.pending = box.pending.filter((u) => u !== uid);
+    if (box.retries) delete box.retries[uid];
+    this._advance(box, uid);
+  }
+
+  // → the failure record ({ attempts, ... }) so the caller can enforce its budget
+  markFailed(key, uid, { error, delayMs = 0 } = {}) {
+    const box = this.boxes[key];
+    if (!box) return null;
+    if (!box.pending.includes(uid)) box.pending.push(uid);
+
+    box.retries = box.retries || {};
+    const previous = box.retries[uid];
+    const now = new Date();
+    const record = {
+      attempts: previous ? previous.attempts + 1 : 1,
+      firstFailedAt: previous ? previous.firstFailedAt : now.toISOString(),
+      lastError: error || null,
+      nextAttemptAt: new Date(now.getTime() + delayMs).toISOString(),
+    };
+    box.retries[uid] = record;
+    this._advance(box, uid);
+    return record;
+  }
+
+  // back into pending with a fresh budget (dead-letter retry)
+  requeue(key, uid) {
+    const box = this.boxes[key];
+    if (!box) return false;
+    if (!box.pending.includes(uid)) box.pending.push(uid);
+    if (box.retries) delete box.retries[uid];
+    this._advance(box, uid);
+    return true;
+  }
+
+  _advance(box, uid) {
+    if (typeof uid === "number") box.lastUid = Math.max(box.lastUid, uid);
+    box.updatedAt = new Date().toISOString();
+    this._persist();
+  }
+
+  _persist() {
+    try {
+      this.store.save({ boxes: this.boxes });
+    } catch (err) {
+      console.error("❌ Failed to persist mailbox state:", err.message);
+    }
+  }
+}
+
+module.exports = { MailboxState };
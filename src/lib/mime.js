@@ -0,0 +1,234 @@
+// mime.js - Minimal MIME helpers: header decoding + text/html body extraction
+
+const iconv = require("iconv-lite");
+
+// RFC-2047 decoder with proper charset handling (UTF-8, ISO-8859-1, etc.)
+function decodeRfc2047(subject) {
+  if (!subject) return "";
+
+  return subject.replace(
+    /=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g,
+    (_, charset, enc, data) => {
+      try {
+        const cs = String(charset || "").toLowerCase();
+
+        if (enc.toLowerCase() === "b") {
+          // Base64 → bytes → decode with charset
+          const buf = Buffer.from(data, "base64");
+          return iconv.decode(buf, cs);
+        } else {
+          // Q-encoding: underscores => spaces, =HH hex → bytes
+          let bytes = data
+            .replace(/_/g, " ")
+            .replace(/=([0-9A-Fa-f]{2})/g, (_, h) =>
+              String.fromCharCode(parseInt(h, 16))
+            );
+          // bytes (latin1) → decode with charset
+          const buf = Buffer.from(bytes, "latin1");
+          return iconv.decode(buf, cs);
+        }
+      } catch {
+        // If decoding fails, return raw chunk
+        return data;
+      }
+    }
+  );
+}
+
+// Split a raw (latin1/"binary") message or part into header block and body
+function splitHeaderBody(raw) {
+  const m = raw.match(/\r?\n\r?\n/);
+  if (!m) return { head: raw, body: "" };
+  return {
+    head: raw.slice(0, m.index),
+    body: raw.slice(m.index + m[0].length),
+  };
+}
+
+// "Name: value" lines → { name(lowercase): [values...] }, folded lines joined
+function parseHeaders(head) {
+  const headers = {};
+  const unfolded = String(head || "").replace(/\r?\n[ \t]+/g, " ");
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(":");
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    (headers[name] = headers[name] || []).push(value);
+  }
+  return headers;
+}
+
+function getHeader(headers, name) {
+  const values = headers && headers[String(name).toLowerCase()];
+  return values && values.length ? values[0] : "";
+}
+
+// Closest thing to IMAP INTERNALDATE: topmost Received header, then Date
+function receivedDateOf(headers) {
+  const candidates = [
+    ...(headers.received || []).map((v) => v.split(";").pop()),
+    ...(headers.date || []),
+  ];
+  for (const value of candidates) {
+    const d = new Date(value.trim());
+    if (!isNaN(d)) return d;
+  }
+  return null;
+}
+
+// "text/plain; charset=ISO-8859-1" → { type, params: { charset } }
+function parseContentType(value) {
+  const [type, ...rest] = String(value || "text/plain").split(";");
+  const params = {};
+  for (const p of rest) {
+    const idx = p.indexOf("=");
+    if (idx <= 0) continue;
+    const key = p.slice(0, idx).trim().toLowerCase();
+    params[key] = p
+      .slice(idx + 1)
+      .trim()
+      .replace(/^"(.*)"$/, "$1");
+  }
+  return { type: type.trim().toLowerCase() || "text/plain", params };
+}
+
+// Content-Transfer-Encoding → raw bytes
+function decodeTransferEncoding(body, encoding) {
+  const enc = String(encoding || "")
+    .trim()
+    .toLowerCase();
+  if (enc === "base64") {
+    return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+  }
+  if (enc === "quoted-printable") {
+    const bytes = body
+      .replace(/=\r?\n/g, "") // soft line breaks
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, h) =>
+        String.fromCharCode(parseInt(h, 16))
+      );
+    return Buffer.from(bytes, "latin1");
+  }
+  return Buffer.from(body, "latin1"); // 7bit / 8bit / binary
+}
+
+function decodeCharset(buf, charset) {
+  const cs = String(charset || "utf-8").toLowerCase();
+  try {
+    return iconv.encodingExists(cs)
+      ? iconv.decode(buf, cs)
+      : buf.toString("utf8");
+  } catch {
+    return buf.toString("utf8");
+  }
+}
+
+const HTML_ENTITIES = {
+  nbsp: " ",
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  auml: "ä",
+  ouml: "ö",
+  uuml: "ü",
+  Auml: "Ä",
+  Ouml: "Ö",
+  Uuml: "Ü",
+  szlig: "ß",
+  euro: "€",
+  ndash: "–",
+  mdash: "—",
+};
+
+// Good-enough HTML → text for job mails (keeps line structure)
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) =>
+      String.fromCodePoint(parseInt(h, 16))
+    )
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&([a-z]+);/gi, (all, name) =>
+      HTML_ENTITIES[name] !== undefined ? HTML_ENTITIES[name] : all
+    )
+    .split(/\r?\n/)
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Walk (possibly nested) multipart structure, collecting text/plain + text/html
+function collectTextParts(raw, out, depth = 0) {
+  if (depth > 8) return out;
+  const { head, body } = splitHeaderBody(raw);
+  const headers = parseHeaders(head);
+  const { type, params } = parseContentType(getHeader(headers, "content-type"));
+
+  if (type.startsWith("multipart/") && params.boundary) {
+    const boundary = `--${params.boundary}`;
+    const chunks = body.split(boundary).slice(1); // drop preamble
+    for (const chunk of chunks) {
+      if (chunk.startsWith("--")) break; // closing boundary
+      collectTextParts(chunk.replace(/^\r?\n/, ""), out, depth + 1);
+    }
+    return out;
+  }
+
+  if (type === "text/plain" || type === "text/html") {
+    const disposition = getHeader(headers, "content-disposition");
+    if (/attachment/i.test(disposition)) return out;
+    const bytes = decodeTransferEncoding(
+      body,
+      getHeader(headers, "content-transfer-encoding")
+    );
+    const text = decodeCharset(bytes, params.charset);
+    if (type === "text/plain") out.text.push(text);
+    else out.html.push(text);
+  }
+  return out;
+}
+
+/**
+ * Parse a full RFC 822 message.
+ * @param {Buffer|string} raw - raw bytes (strings are treated as latin1)
+ * @returns {{ headers: Object, subject: string, text: string, html: string, bodyText: string }}
+ */
+function parseMessage(raw) {
+  const src = Buffer.isBuffer(raw) ? raw.toString("latin1") : String(raw || "");
+  const { head } = splitHeaderBody(src);
+  const headers = parseHeaders(head);
+
+  const parts = collectTextParts(src, { text: [], html: [] });
+  const text = parts.text.join("\n").trim();
+  const html = parts.html.join("\n").trim();
+
+  // Header values arrive as latin1 bytes; raw 8bit UTF-8 subjects need re-decoding
+  const rawSubject = Buffer.from(getHeader(headers, "subject"), "latin1");
+  const subject = decodeRfc2047(decodeCharset(rawSubject, "utf-8"))
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    headers,
+    subject,
+    text,
+    html,
+    bodyText: text || htmlToText(html),
+  };
+}
+
+module.exports = {
+  decodeRfc2047,
+  parseHeaders,
+  getHeader,
+  receivedDateOf,
+  parseContentType,
+  decodeTransferEncoding,
+  htmlToText,
+  parseMessage,
+};
@@ -0,0 +1,76 @@
+// plz.js - Offline PLZ → Ort lookup for validating and repairing job locations
+// Data: german-zip-codes (one row per PLZ/Ort pair, ~8200 PLZ)
+
+let byZip = null;
+
+// built on first use; the table is ~20k rows
+function table() {
+  if (byZip) return byZip;
+  const { data } = require("german-zip-codes/data/data");
+  byZip = new Map();
+  for (const row of data) {
+    const zip = String(row.plz).padStart(5, "0");
+    const names = byZip.get(zip) || [];
+    if (!names.includes(row.ort)) names.push(row.ort);
+    byZip.set(zip, names);
+  }
+  return byZip;
+}
+
+// "Köln" / "Koeln" / "KÖLN" → "koeln" (umlauts spelled out, letters only)
+const placeKey = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/ä/g, "ae")
+    .replace(/ö/g, "oe")
+    .replace(/ü/g, "ue")
+    .replace(/ß/g, "ss")
+    .normalize("NFD")
+    .replace(/[^a-z?�]/g, "");
+
+// UTF-8 read as latin1 ("KÃ¶ln") → "Köln"; anything else unchanged
+function fixMojibake(s) {
+  if (!/[ÃÂ]/.test(s)) return s;
+  const fixed = Buffer.from(s, "latin1").toString("utf8");
+  return fixed.includes("�") ? s : fixed;
+}
+
+function citiesForZip(zip) {
+  return table().get(String(zip || "")) || [];
+}
+
+const isKnownZip = (zip) => citiesForZip(zip).length > 0;
+
+/**
+ * Check a parsed zip/city pair against the PLZ table.
+ * The automator matches "in <zip> <city>" as a prefix of the site's row, so
+ * the official name (or a prefix of it) is always safe to search for.
+ * @returns {{ city: string, issue: null|"repaired"|"mismatch"|"unknown_zip", official: string[] }}
+ *   city  - canonical name, the raw city if it is a prefix of an official
+ *           name, or "" when it matches none (search by date/time/zip only)
+ */
+function resolvePlace(zip, rawCity) {
+  const official = citiesForZip(zip);
+  const raw = String(rawCity || "").trim();
+  if (!official.length) return { city: raw, issue: "unknown_zip", official };
+  if (!raw) return { city: raw, issue: null, official };
+
+  const key = placeKey(fixMojibake(raw));
+  // lost umlauts ("K?ln", "K�ln") match any single letter or spelled-out umlaut
+  const wild = /[?�]/.test(key)
+    ? new RegExp(`^${key.replace(/[?�]/g, "(?:[a-z]|[aou]e)")}`)
+    : null;
+
+  for (const name of official) {
+    const nameKey = placeKey(name);
+    // same name, or followed by a district / run-on word ("Köln-Ehrenfeld", "Kölngesucht")
+    if (key.startsWith(nameKey) || (wild && wild.test(nameKey))) {
+      return { city: name, issue: name === raw ? null : "repaired", official };
+    }
+    // abbreviated ("Frankfurt" for "Frankfurt am Main") — still a prefix on the site
+    if (nameKey.startsWith(key)) return { city: raw, issue: null, official };
+  }
+  return { city: "", issue: "mismatch", official };
+}
+
+module.exports = { citiesForZip, isKnownZip, resolvePlace };
@@ -0,0 +1,83 @@
+// quarantine.js - Persistent list of job mails the parser could not (confidently) read
+
+const { JsonStore } = require("./json-store");
+
+const MAX_ENTRIES = 500;
+const MAX_BODY_CHARS = 20000;
+
+class ParseQuarantine {
+  constructor(fileName = "quarantine.json") {
+    this.store = new JsonStore(fileName, { entries: [] });
+    this.entries = this.store.load().entries || [];
+  }
+
+  /**
+   * @param {Object} entry - { uid, mailbox, subject, body, internalDate,
+   *   reason, confidence, found, grammar, auth }
+   * @returns {Object} the stored entry (with id + quarantinedAt)
+   */
+  add(entry) {
+    const stored = {
+      id: `${Date.now().toString(36)}-${entry.uid ?? "x"}`,
+      quarantinedAt: new Date().toISOString(),
+      uid: entry.uid ?? null,
+      mailbox: entry.mailbox || null,
+      subject: entry.subject || "",
+      body: String(entry.body || "").slice(0, MAX_BODY_CHARS),
+      internalDate: entry.internalDate
+        ? new Date(entry.internalDate).toISOString()
+        : null,
+      reason: entry.reason || "unparsed",
+      confidence: entry.confidence ?? 0,
+      found: entry.found || [],
+      grammar: entry.grammar || null,
+      auth: entry.auth || null, // failed sender authentication: { from, reason }
+      retries: 0,
+    };
+
+    this.entries.push(stored);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries = this.entries.slice(-MAX_ENTRIES);
+    }
+    this._persist();
+    return stored;
+  }
+
+  list() {
+    return this.entries.slice();
+  }
+
+  get(id) {
+    return this.entries.find((e) => e.id === id) || null;
+  }
+
+  update(id, changes) {
+    const entry = this.get(id);
+    if (!entry) return null;
+    Object.assign(entry, changes);
+    this._persist();
+    return entry;
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter((e) => e.id !== id);
+    if (this.entries.length === before) return false;
+    this._persist();
+    return true;
+  }
+
+  size() {
+    return this.entries.length;
+  }
+
+  _persist() {
+    try {
+      this.store.save({ entries: this.entries });
+    } catch (err) {
+      console.error("❌ Failed to persist quarantine:", err.message);
+    }
+  }
+}
+
+module.exports = { ParseQuarantine };
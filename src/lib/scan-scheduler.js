@@ -0,0 +1,76 @@
+// scan-scheduler.js - One mailbox scan at a time, whoever asks for it
+//
+// IDLE "mail" events, polling ticks and manual triggers all call request().
+// Scans never overlap, so a UID is fetched and dispatched by one scan only
+// (the next one starts above the advanced high-water mark). Requests arriving
+// while a scan runs share a single follow-up scan instead of queueing one each.
+
+class ScanScheduler {
+  /**
+   * @param {(reasons: string[], requestedAt: number) => Promise<void>} scan
+   *   requestedAt: time of the earliest request the scan serves
+   */
+  constructor(scan) {
+    this.scan = scan;
+    this.running = null;
+    this.next = null; // { promise, resolve, reject, reasons, requestedAt } for the follow-up scan
+    this.stats = {
+      runs: 0,
+      coalesced: 0,
+      lastReason: null,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+    };
+  }
+
+  // → resolves once a scan that started after this call has finished
+  request(reason = "manual") {
+    if (!this.running) return this._start([reason], Date.now());
+
+    if (!this.next) {
+      const next = { reasons: [], requestedAt: Date.now() };
+      next.promise = new Promise((resolve, reject) => {
+        next.resolve = resolve;
+        next.reject = reject;
+      });
+      this.next = next;
+    }
+    this.next.reasons.push(reason);
+    this.stats.coalesced++;
+    return this.next.promise;
+  }
+
+  isRunning() {
+    return !!this.running;
+  }
+
+  _start(reasons, requestedAt) {
+    const startedAt = Date.now();
+    const unique = [...new Set(reasons)];
+    this.stats.runs++;
+    this.stats.lastReason = unique.join(", ");
+    this.stats.lastRunAt = new Date(startedAt);
+
+    const run = Promise.resolve().then(() => this.scan(unique, requestedAt));
+    this.running = run
+      .then(
+        () => (this.stats.lastError = null),
+        (err) => (this.stats.lastError = err.message)
+      )
+      .finally(() => {
+        this.stats.lastDurationMs = Date.now() - startedAt;
+        this.running = null;
+        const next = this.next;
+        this.next = null;
+        if (next)
+          this._start(next.reasons, next.requestedAt).then(
+            next.resolve,
+            next.reject
+          );
+      });
+    return run;
+  }
+}
+
+module.exports = { ScanScheduler };
@@ -0,0 +1,99 @@
+// sender-auth.js - Was a job mail really sent by the platform?
+//
+// "FROM studenten-umzugshilfe.com" alone is trivially spoofed. The receiving
+// server records its DKIM / SPF / DMARC verdicts in Authentication-Results
+// (RFC 8601); a mail counts as authentic if one of the accepted methods passed
+// for the platform domain (or a subdomain of it).
+
+/**
+ * "mx.google.com; dkim=pass header.d=example.com (comment); spf=fail ..."
+ * @returns {{ authservId: string, results: { method: string, result: string, props: Object }[] }}
+ */
+function parseAuthResults(value) {
+  const clean = String(value || "").replace(/\([^)]*\)/g, " ");
+  const [authserv, ...parts] = clean.split(";");
+  const results = [];
+  for (const part of parts) {
+    const m = part.trim().match(/^([a-z0-9-]+)\s*=\s*([a-z]+)\b(.*)$/i);
+    if (!m) continue;
+    const props = {};
+    for (const [, key, val] of m[3].matchAll(
+      /([a-z]+\.[a-z-]+)\s*=\s*("[^"]*"|[^\s;]+)/gi
+    )) {
+      props[key.toLowerCase()] = val.replace(/"/g, "").toLowerCase();
+    }
+    results.push({
+      method: m[1].toLowerCase(),
+      result: m[2].toLowerCase(),
+      props,
+    });
+  }
+  return { authservId: authserv.trim().split(/\s+/)[0].toLowerCase(), results };
+}
+
+const domainOf = (v) =>
+  String(v || "")
+    .split("@")
+    .pop();
+
+// the domain each method vouches for
+function vouchedDomain({ method, props }) {
+  switch (method) {
+    case "dkim":
+      return props["header.d"] || domainOf(props["header.i"]);
+    case "spf":
+      return domainOf(props["smtp.mailfrom"] || props["smtp.helo"]);
+    case "dmarc":
+      return props["header.from"] || "";
+    default:
+      return "";
+  }
+}
+
+/**
+ * @param {Object} headers - parsed headers ({ name(lowercase): [values...] }, topmost first)
+ * @param {{ domain: string, methods: string[], servers: string[] }} policy
+ * @returns {{ pass: boolean, reason: string, results: Object[] }}
+ */
+function checkSenderAuth(headers, policy) {
+  const all = ((headers && headers["authentication-results"]) || []).map(
+    parseAuthResults
+  );
+  // Only our own servers' verdicts count: the sender can add any header,
+  // and a provider that adds none leaves the forged one on top
+  const trusted = all.filter((h) => policy.servers.includes(h.authservId));
+  if (!trusted.length) {
+    return {
+      pass: false,
+      reason: !policy.servers.length
+        ? "no trusted authserv-id configured (MAIL_AUTH_SERVERS)"
+        : all.length
+        ? "no Authentication-Results from a trusted server"
+        : "no Authentication-Results header",
+      results: [],
+    };
+  }
+
+  const results = trusted.flatMap((h) =>
+    h.results.map((r) => ({ ...r, authservId: h.authservId }))
+  );
+  const aligned = (d) => d === policy.domain || d.endsWith(`.${policy.domain}`);
+  const hit = results.find(
+    (r) =>
+      policy.methods.includes(r.method) &&
+      r.result === "pass" &&
+      aligned(vouchedDomain(r))
+  );
+  if (hit) return { pass: true, reason: `${hit.method}=pass`, results };
+
+  const summary = results.map((r) => `${r.method}=${r.result}`).join(", ");
+  return {
+    pass: false,
+    reason: `no ${policy.methods.join("/")} pass for ${policy.domain}${
+      summary ? ` (${summary})` : ""
+    }`,
+    results,
+  };
+}
+
+module.exports = { parseAuthResults, checkSenderAuth };